@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark sorting pULIDs with the bytewise compare() against string comparison
+ * Usage: node bench/sort.js [count]   (default 1000000)
+ */
+
+const { pULIDGenerator, SeededEntropySource, encodeBase32 } = require('../src');
+
+const count = Number(process.argv[2] || 1000000);
+if (!Number.isInteger(count) || count < 1) {
+  console.error(`Invalid count: ${process.argv[2]}. Must be a positive integer`);
+  process.exit(2);
+}
+
+/**
+ * Previous compare(): encode both IDs on every call and compare the strings
+ * @param {pULID} a - First pULID
+ * @param {pULID} b - Second pULID
+ * @returns {number} -1, 0, or 1
+ */
+function encodingStringCompare(a, b) {
+  const aStr = encodeBase32(a.toBytes());
+  const bStr = encodeBase32(b.toBytes());
+  if (aStr < bStr) return -1;
+  if (aStr > bStr) return 1;
+  return 0;
+}
+
+/**
+ * String comparison once toString() is cached
+ * @param {pULID} a - First pULID
+ * @param {pULID} b - Second pULID
+ * @returns {number} -1, 0, or 1
+ */
+function cachedStringCompare(a, b) {
+  const aStr = a.toString();
+  const bStr = b.toString();
+  if (aStr < bStr) return -1;
+  if (aStr > bStr) return 1;
+  return 0;
+}
+
+/**
+ * Sort a copy of the IDs and report the time taken
+ * @param {string} name - Label for the result line
+ * @param {pULID[]} ids - IDs to sort
+ * @param {Function} compare - Comparator
+ * @returns {pULID[]} Sorted copy
+ */
+function time(name, ids, compare) {
+  const copy = ids.slice();
+  const started = process.hrtime.bigint();
+  copy.sort(compare);
+  const elapsed = Number(process.hrtime.bigint() - started) / 1e6;
+  console.log(`${name.padEnd(36)} ${elapsed.toFixed(0).padStart(8)} ms`);
+  return copy;
+}
+
+console.log(`⏱  Sorting ${count} pULIDs`);
+console.log('='.repeat(50));
+
+// Seeded entropy and shuffled timestamps, so every run sorts the same input
+const generator = new pULIDGenerator({ entropySource: new SeededEntropySource('bench-sort') });
+const start = Date.parse('2025-01-27T23:25:04.043Z');
+const ids = [];
+for (let i = 0; i < count; i++) {
+  ids.push(generator.generate({ timestamp: start + ((i * 7919) % count), scope: (i % 1000) + 1 }));
+}
+
+const bytewise = time('compare() (bytewise)', ids, (a, b) => a.compare(b));
+const encoded = time('String compare, encoding each call', ids, encodingStringCompare);
+ids.forEach(id => id.toString());
+const cached = time('String compare, cached strings', ids, cachedStringCompare);
+
+const sameOrder = bytewise.every((id, i) => id === encoded[i] && id === cached[i]);
+console.log(`\nAll three orders match: ${sameOrder ? '✅' : '❌'}`);
+process.exit(sameOrder ? 0 : 1);
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+
+/**
+ * pulid command-line tool
+ * Generate, parse and convert pULIDs from the shell
+ */
+
+const readline = require('readline');
+const { pULID, pULIDGenerator, FakeTimestampGenerator, pULIDError } = require('../src');
+const { version } = require('../package.json');
+
+const USAGE = `Usage: pulid <command> [options] [ids...]
+
+Commands:
+  generate            Generate new pULIDs
+  parse [ids...]      Print timestamp, date, scope and entropy of ULIDs or UUIDs
+  convert [ids...]    Convert ULIDs to UUIDs and UUIDs to ULIDs
+
+Options:
+  --scope <n>         Scope for generated pULIDs (default 1; 0 is stored as 65535)
+  --count <n>         Number of pULIDs to generate (default 1)
+  --at <date>         Timestamp for generated pULIDs (milliseconds or date string)
+  --uuid              Print generated pULIDs in UUID format
+  --json              Print one JSON object per line
+  -h, --help          Show this help
+  -v, --version       Show the version
+
+When no ids are given, parse and convert read them from stdin, one per line.
+Exits with code 1 if any input is invalid and 2 on usage errors.`;
+
+const VALUE_OPTIONS = ['scope', 'count', 'at'];
+const FLAG_OPTIONS = ['uuid', 'json', 'help', 'version'];
+const SHORT_OPTIONS = { h: 'help', v: 'version' };
+
+/**
+ * Error thrown for invalid command-line usage
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Split command-line arguments into command, options and positional values
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {{command: string|undefined, options: Object, ids: string[]}} Parsed arguments
+ * @throws {UsageError} If an option is unknown or missing its value
+ */
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positional.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+
+      if (VALUE_OPTIONS.includes(name)) {
+        const value = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+        if (value === undefined) {
+          throw new UsageError(`Option --${name} requires a value`);
+        }
+        options[name] = value;
+      } else if (FLAG_OPTIONS.includes(name) && eq === -1) {
+        options[name] = true;
+      } else {
+        throw new UsageError(`Unknown option: ${arg}`);
+      }
+    } else if (arg.length > 1 && arg.startsWith('-') && SHORT_OPTIONS[arg.slice(1)]) {
+      options[SHORT_OPTIONS[arg.slice(1)]] = true;
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { command: positional[0], options, ids: positional.slice(1) };
+}
+
+/**
+ * Parse an integer option value
+ * @param {string} name - Option name
+ * @param {string} value - Raw value
+ * @param {number} min - Minimum accepted value
+ * @returns {number} Parsed integer
+ * @throws {UsageError} If the value is not an integer >= min
+ */
+function parseInteger(name, value, min) {
+  if (!/^\d+$/.test(value) || Number(value) < min) {
+    throw new UsageError(`Invalid --${name}: ${value}. Expected an integer >= ${min}`);
+  }
+  return Number(value);
+}
+
+/**
+ * Parse the --at option into a timestamp
+ * @param {string} value - Milliseconds or a date string
+ * @returns {number} Unix timestamp in milliseconds
+ * @throws {UsageError} If the value is not a valid date
+ */
+function parseAt(value) {
+  const timestamp = /^\d+$/.test(value) ? Number(value) : new Date(value).getTime();
+  if (isNaN(timestamp)) {
+    throw new UsageError(`Invalid --at: ${value}. Expected milliseconds or a date string`);
+  }
+  return timestamp;
+}
+
+/**
+ * Parse an ID given in either ULID or UUID form
+ * @param {string} input - ULID or UUID string
+ * @returns {{id: pULID, form: string}} Parsed pULID and the form it was given in
+ * @throws {pULIDParseError} If the input is neither a valid ULID nor UUID
+ */
+function parseId(input) {
+  if (input.length === 36) {
+    return { id: pULID.fromUUID(input), form: 'uuid' };
+  }
+  return { id: pULID.parse(input), form: 'ulid' };
+}
+
+/**
+ * Format entropy bytes as lowercase hex
+ * @param {Uint8Array} bytes - Entropy bytes
+ * @returns {string} Hex string
+ */
+function toHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Describe a parsed pULID
+ * @param {pULID} id - Parsed pULID
+ * @returns {Object} Decoded fields
+ */
+function describe(id) {
+  return {
+    ulid: id.toString(),
+    uuid: id.toUUID(),
+    timestamp: id.getTimestamp(),
+    date: id.getTime().toISOString(),
+    scope: id.getScope(),
+    entropy: toHex(id.getEntropy())
+  };
+}
+
+/**
+ * Read non-empty trimmed lines from a stream
+ * @param {NodeJS.ReadableStream} stream - Input stream
+ * @returns {Promise<string[]>} Lines
+ */
+async function readLines(stream) {
+  const lines = [];
+  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of rl) {
+    const trimmed = line.trim();
+    if (trimmed) {
+      lines.push(trimmed);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Run the generate command
+ * @param {Object} options - Parsed options
+ * @param {Function} print - Output writer
+ */
+function runGenerate(options, print) {
+  const count = options.count === undefined ? 1 : parseInteger('count', options.count, 1);
+  const scope = options.scope === undefined ? 1 : parseInteger('scope', options.scope, 0);
+  // A fixed clock rather than options.timestamp, which treats 0 as "now"
+  const generator = new pULIDGenerator({
+    monotonic: true,
+    timestampGenerator: options.at === undefined ? undefined : new FakeTimestampGenerator({ start: parseAt(options.at) })
+  });
+  // Scope is passed per call so that 0 is stored as 65535, as in the pULID constructor
+  const generateOptions = { scope };
+
+  for (let i = 0; i < count; i++) {
+    const id = generator.generate(generateOptions);
+
+    if (options.json) {
+      print(JSON.stringify(describe(id)));
+    } else {
+      print(options.uuid ? id.toUUID() : id.toString());
+    }
+  }
+}
+
+/**
+ * Run the parse or convert command over a list of inputs
+ * @param {string} command - "parse" or "convert"
+ * @param {string[]} inputs - ULID or UUID strings
+ * @param {Object} options - Parsed options
+ * @param {Function} print - Output writer
+ * @param {Function} printError - Error writer
+ * @returns {number} Number of invalid inputs
+ */
+function runInputs(command, inputs, options, print, printError) {
+  let failures = 0;
+
+  inputs.forEach((input, index) => {
+    let result;
+    try {
+      result = parseId(input);
+    } catch (error) {
+      failures++;
+      if (options.json) {
+        print(JSON.stringify({ input, error: error.message }));
+      } else {
+        printError(`pulid: ${input}: ${error.message}`);
+      }
+      return;
+    }
+
+    const { id, form } = result;
+
+    if (command === 'convert') {
+      const output = form === 'uuid' ? id.toString() : id.toUUID();
+      print(options.json ? JSON.stringify({ input, output, ulid: id.toString(), uuid: id.toUUID() }) : output);
+      return;
+    }
+
+    const fields = describe(id);
+    if (options.json) {
+      print(JSON.stringify({ input, ...fields }));
+      return;
+    }
+
+    if (index > 0) {
+      print('');
+    }
+    print(`ulid:      ${fields.ulid}`);
+    print(`uuid:      ${fields.uuid}`);
+    print(`timestamp: ${fields.timestamp}`);
+    print(`date:      ${fields.date}`);
+    print(`scope:     ${fields.scope}`);
+    print(`entropy:   ${fields.entropy}`);
+  });
+
+  return failures;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @param {Object} io - Streams to use
+ * @param {NodeJS.ReadableStream} io.stdin - Input stream
+ * @param {NodeJS.WritableStream} io.stdout - Output stream
+ * @param {NodeJS.WritableStream} io.stderr - Error stream
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, io = process) {
+  const print = line => io.stdout.write(`${line}\n`);
+  const printError = line => io.stderr.write(`${line}\n`);
+
+  try {
+    const { command, options, ids } = parseArgs(argv);
+
+    if (options.help) {
+      print(USAGE);
+      return 0;
+    }
+
+    if (options.version) {
+      print(version);
+      return 0;
+    }
+
+    switch (command) {
+      case 'generate':
+        if (ids.length > 0) {
+          throw new UsageError(`generate does not take ids: ${ids.join(' ')}`);
+        }
+        runGenerate(options, print);
+        return 0;
+
+      case 'parse':
+      case 'convert': {
+        const inputs = ids.length > 0 ? ids : await readLines(io.stdin);
+        return runInputs(command, inputs, options, print, printError) > 0 ? 1 : 0;
+      }
+
+      case undefined:
+        throw new UsageError('Missing command');
+
+      default:
+        throw new UsageError(`Unknown command: ${command}`);
+    }
+  } catch (error) {
+    if (error instanceof UsageError) {
+      printError(`pulid: ${error.message}`);
+      printError(USAGE);
+      return 2;
+    }
+
+    if (error instanceof pULIDError) {
+      printError(`pulid: ${error.message}`);
+      return 1;
+    }
+
+    throw error;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  }, (error) => {
+    process.stderr.write(`pulid: ${error.message}\n`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  main,
+  parseArgs
+};
@@ -0,0 +1,56 @@
+/**
+ * Byte views over caller-provided binary buffers
+ * Lets pULIDs be read from and written into larger frames without copying
+ */
+
+/**
+ * Get a Uint8Array over the same memory as a binary buffer
+ * Node Buffers and Uint8Arrays are returned as they are; ArrayBuffers, DataViews
+ * and other typed arrays get a view, never a copy
+ * @param {Buffer|Uint8Array|ArrayBuffer|DataView|ArrayBufferView} buffer - Binary buffer
+ * @returns {Uint8Array|null} Byte view, or null if the input is not a binary buffer
+ */
+function toByteView(buffer) {
+  if (buffer instanceof Uint8Array) {
+    return buffer;
+  }
+
+  if (buffer instanceof ArrayBuffer || (typeof SharedArrayBuffer !== 'undefined' && buffer instanceof SharedArrayBuffer)) {
+    return new Uint8Array(buffer);
+  }
+
+  if (ArrayBuffer.isView(buffer)) {
+    return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  }
+
+  return null;
+}
+
+/**
+ * Get a byte view of a buffer, checking that 16 bytes fit at the offset
+ * @param {Buffer|Uint8Array|ArrayBuffer|DataView|ArrayBufferView} buffer - Binary buffer
+ * @param {number} offset - Byte offset of the pULID
+ * @param {Function} ErrorClass - Error class to throw on invalid input
+ * @returns {Uint8Array} Byte view over the whole buffer
+ */
+function byteViewAt(buffer, offset, ErrorClass) {
+  const view = toByteView(buffer);
+  if (!view) {
+    throw new ErrorClass('Invalid buffer: expected a Buffer, Uint8Array, ArrayBuffer or DataView');
+  }
+
+  if (typeof offset !== 'number' || !Number.isInteger(offset) || offset < 0) {
+    throw new ErrorClass(`Invalid offset: ${offset}. Must be a non-negative integer`);
+  }
+
+  if (offset + 16 > view.length) {
+    throw new ErrorClass(`Offset ${offset} out of range: 16 bytes do not fit in a buffer of ${view.length} bytes`);
+  }
+
+  return view;
+}
+
+module.exports = {
+  toByteView,
+  byteViewAt
+};
@@ -0,0 +1,111 @@
+/**
+ * MongoDB BSON Binary (subtype 4, UUID) and Extended JSON conversions
+ * Works with any BSON Binary implementation without depending on the bson
+ * package: pass its Binary class to build real instances, or use the plain
+ * { buffer, sub_type } shape
+ */
+
+const { encodeBase64Url, decodeBase64Url } = require('./formats');
+const { uuidToBytes } = require('./uuid');
+const { toByteView } = require('./binary');
+
+/** BSON Binary subtype for RFC 4122 UUIDs */
+const BSON_UUID_SUBTYPE = 4;
+
+/**
+ * Wrap 16 bytes as a BSON Binary with subtype 4
+ * @param {Uint8Array} bytes - 16-byte array
+ * @param {Function} [Binary] - BSON Binary class, e.g. require('bson').Binary or require('mongodb').Binary
+ * @returns {Object} Binary instance, or { buffer, sub_type } when no class is given
+ */
+function bytesToBSONBinary(bytes, Binary) {
+  if (Binary !== undefined) {
+    if (typeof Binary !== 'function') {
+      throw new Error('Invalid Binary class: expected a constructor such as require(\'bson\').Binary');
+    }
+    return new Binary(bytes, BSON_UUID_SUBTYPE);
+  }
+
+  return { buffer: bytes, sub_type: BSON_UUID_SUBTYPE };
+}
+
+/**
+ * Extract the 16 bytes of a BSON Binary with subtype 4
+ * Accepts bson Binary instances (which may over-allocate their buffer and track
+ * the used length in position) and plain { buffer, sub_type } objects
+ * @param {Object} value - BSON Binary
+ * @returns {Uint8Array} 16-byte array
+ */
+function bsonBinaryToBytes(value) {
+  if (!value || typeof value !== 'object') {
+    throw new Error(`Invalid BSON Binary: expected an object, got ${value === null ? 'null' : typeof value}`);
+  }
+
+  const subType = value.sub_type !== undefined ? value.sub_type : value.subType;
+  if (subType !== BSON_UUID_SUBTYPE) {
+    throw new Error(`Invalid BSON Binary subtype: ${subType}. Expected 4 (UUID)`);
+  }
+
+  const buffer = toByteView(value.buffer);
+  if (!buffer) {
+    throw new Error('Invalid BSON Binary: buffer is not binary data');
+  }
+
+  const bytes = typeof value.position === 'number' ? buffer.subarray(0, value.position) : buffer;
+  if (bytes.length !== 16) {
+    throw new Error(`Invalid BSON Binary length: ${bytes.length}. Expected 16 bytes`);
+  }
+  return bytes;
+}
+
+/**
+ * Represent 16 bytes in canonical Extended JSON v2
+ * @param {Uint8Array} bytes - 16-byte array
+ * @returns {{$binary: {base64: string, subType: string}}} EJSON object
+ */
+function bytesToEJSON(bytes) {
+  // Standard base64 is base64url with two characters swapped, plus padding
+  const base64 = encodeBase64Url(bytes).replace(/-/g, '+').replace(/_/g, '/') + '==';
+  return { $binary: { base64, subType: '04' } };
+}
+
+/**
+ * Read 16 bytes from an Extended JSON UUID
+ * Accepts the canonical { $binary: { base64, subType: '04' } } form and the { $uuid } shorthand
+ * @param {Object|string} value - EJSON object, or a JSON string holding one
+ * @returns {Uint8Array} 16-byte array
+ */
+function ejsonToBytes(value) {
+  const ejson = typeof value === 'string' ? JSON.parse(value) : value;
+
+  if (!ejson || typeof ejson !== 'object') {
+    throw new Error('Invalid EJSON: expected an object');
+  }
+
+  if (typeof ejson.$uuid === 'string') {
+    return uuidToBytes(ejson.$uuid);
+  }
+
+  const binary = ejson.$binary;
+  if (!binary || typeof binary !== 'object') {
+    throw new Error('Invalid EJSON: expected a $binary or $uuid field');
+  }
+
+  if (binary.subType !== '04' && binary.subType !== '4') {
+    throw new Error(`Invalid EJSON subType: ${binary.subType}. Expected "04" (UUID)`);
+  }
+
+  if (typeof binary.base64 !== 'string' || !/^[A-Za-z0-9+/]{22}==$/.test(binary.base64)) {
+    throw new Error('Invalid EJSON base64: expected 24 characters encoding 16 bytes');
+  }
+
+  return decodeBase64Url(binary.base64.slice(0, 22).replace(/\+/g, '-').replace(/\//g, '_'));
+}
+
+module.exports = {
+  BSON_UUID_SUBTYPE,
+  bytesToBSONBinary,
+  bsonBinaryToBytes,
+  bytesToEJSON,
+  ejsonToBytes
+};
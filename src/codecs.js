@@ -0,0 +1,153 @@
+/**
+ * Database column codecs for pULID
+ * Each codec converts between pULID instances and the values a database driver
+ * sends and receives for one column type. SQL NULL (null or undefined) passes
+ * through as null in both directions.
+ *
+ * Ordering under the database's native comparison:
+ * - Postgres uuid: compared as 16 unsigned bytes, so time order is kept
+ * - MySQL BINARY(16)/VARBINARY(16), SQLite BLOB: compared bytewise (memcmp), so time order is kept
+ * - Text columns: canonical ULID strings keep time order under a binary or "C"
+ *   collation (Postgres COLLATE "C", MySQL utf8mb4_bin/ascii_bin, SQLite's default BINARY);
+ *   locale collations are not guaranteed to and usually make index scans slower
+ */
+
+const { pULID } = require('./pulid');
+const { toByteView } = require('./binary');
+const { pULIDError, pULIDParseError } = require('./errors');
+
+/** Postgres type OID of the uuid column type */
+const PG_UUID_OID = 2950;
+
+/**
+ * Check the value handed to a codec's encode()
+ * @param {pULID} id - Value to check
+ * @param {string} name - Codec name for error messages
+ */
+function assertPulid(id, name) {
+  if (!(id instanceof pULID)) {
+    throw new pULIDError(`${name} codec can only encode pULID instances`);
+  }
+}
+
+/**
+ * Postgres uuid columns
+ * Drivers such as pg send and receive uuids as hyphenated strings
+ */
+const postgresUuid = {
+  name: 'postgresUuid',
+  columnType: 'uuid',
+  ordered: true,
+
+  /**
+   * @param {pULID|null} id - pULID to store
+   * @returns {string|null} Lowercase hyphenated UUID
+   */
+  encode(id) {
+    if (id === null || id === undefined) return null;
+    assertPulid(id, 'postgresUuid');
+    return id.toUUID();
+  },
+
+  /**
+   * @param {string|null} value - UUID string from the driver
+   * @returns {pULID|null} Decoded pULID
+   * @throws {pULIDParseError} If the value is not a valid UUID
+   */
+  decode(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value !== 'string') {
+      throw new pULIDParseError(`Invalid uuid column value: expected string, got ${typeof value}`);
+    }
+    return pULID.fromUUID(value);
+  }
+};
+
+/**
+ * MySQL BINARY(16)/VARBINARY(16) and SQLite BLOB columns
+ * Encodes to a Node Buffer where available (a Uint8Array elsewhere); decodes any
+ * Buffer, Uint8Array, ArrayBuffer or DataView holding exactly 16 bytes
+ */
+const binary = {
+  name: 'binary',
+  columnType: 'BINARY(16)',
+  ordered: true,
+
+  /**
+   * @param {pULID|null} id - pULID to store
+   * @returns {Buffer|Uint8Array|null} 16 bytes
+   */
+  encode(id) {
+    if (id === null || id === undefined) return null;
+    assertPulid(id, 'binary');
+    const bytes = id.toBytes();
+    return typeof Buffer !== 'undefined' ? Buffer.from(bytes.buffer, bytes.byteOffset, 16) : bytes;
+  },
+
+  /**
+   * @param {Buffer|Uint8Array|ArrayBuffer|DataView|null} value - Column bytes from the driver
+   * @returns {pULID|null} Decoded pULID
+   * @throws {pULIDParseError} If the value is not 16 bytes of binary data
+   */
+  decode(value) {
+    if (value === null || value === undefined) return null;
+    const bytes = toByteView(value);
+    if (!bytes) {
+      throw new pULIDParseError(`Invalid binary column value: expected a Buffer or Uint8Array, got ${typeof value}`);
+    }
+    return pULID.fromBytes(bytes);
+  }
+};
+
+/**
+ * Text columns (CHAR(26), VARCHAR, TEXT) holding the canonical 26-character ULID string
+ */
+const text = {
+  name: 'text',
+  columnType: 'CHAR(26)',
+  ordered: true,
+
+  /**
+   * @param {pULID|null} id - pULID to store
+   * @returns {string|null} Canonical ULID string
+   */
+  encode(id) {
+    if (id === null || id === undefined) return null;
+    assertPulid(id, 'text');
+    return id.toString();
+  },
+
+  /**
+   * @param {string|null} value - ULID string from the driver
+   * @returns {pULID|null} Decoded pULID
+   * @throws {pULIDParseError} If the value is not a valid ULID
+   */
+  decode(value) {
+    if (value === null || value === undefined) return null;
+    return pULID.parse(value);
+  }
+};
+
+/**
+ * Make a pg driver return pULID instances for every uuid column
+ * Note this applies to all uuid columns, so every uuid read must be a valid pULID
+ * @param {{setTypeParser: Function}} types - The driver's type registry, e.g. require('pg').types
+ * @returns {Object} The same type registry
+ * @throws {pULIDError} If types has no setTypeParser method
+ */
+function registerPostgresUuidParser(types) {
+  if (!types || typeof types.setTypeParser !== 'function') {
+    throw new pULIDError('Invalid pg types: expected an object with setTypeParser(), e.g. require(\'pg\').types');
+  }
+
+  types.setTypeParser(PG_UUID_OID, value => postgresUuid.decode(value));
+  return types;
+}
+
+module.exports = {
+  PG_UUID_OID,
+  postgresUuid,
+  binary,
+  text,
+  registerPostgresUuidParser
+};
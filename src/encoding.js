@@ -78,10 +78,14 @@ function encodeBase32(id) {
 /**
  * Decode a 26-character Base32 string to a 16-byte ULID
  * This is a direct port of the Go implementation's UnmarshalText method
+ * By default lowercase letters and the I, L, O, U aliases are accepted, so several
+ * strings decode to the same bytes; strict mode accepts only the canonical alphabet
  * @param {string} str - 26-character Base32 encoded string
+ * @param {Object} [options] - Decoding options
+ * @param {boolean} [options.strict=false] - Accept only canonical uppercase characters
  * @returns {Uint8Array} 16-byte array
  */
-function decodeBase32(str) {
+function decodeBase32(str, options = {}) {
   if (typeof str !== 'string') {
     throw new Error(`Invalid input type: ${typeof str}. Expected string`);
   }
@@ -95,6 +99,9 @@ function decodeBase32(str) {
     if (C2B32[str.charCodeAt(i)] === 0xFF) {
       throw new Error(`Invalid character in ULID: ${str[i]}`);
     }
+    if (options.strict && ENCODING.indexOf(str[i]) === -1) {
+      throw new Error(`Non-canonical character in ULID: ${str[i]} at position ${i}. Strict mode accepts only ${ENCODING}`);
+    }
   }
   
   // Check for timestamp overflow - first character must be <= '7'
@@ -128,6 +135,113 @@ function decodeBase32(str) {
   return id;
 }
 
+/**
+ * Rewrite a human-entered ULID to its canonical 26-character form
+ * Removes whitespace and hyphens, uppercases letters and replaces the I, L, O, U
+ * aliases, recording every change
+ * @param {string} str - ULID as entered, e.g. "01jjn1ad5b-08vj5srb-jawcbwdq"
+ * @returns {{normalized: string, substitutions: Array<{index: number, from: string, to: string, reason: string}>}} Canonical string and the changes made, by input index
+ */
+function normalizeBase32(str) {
+  if (typeof str !== 'string') {
+    throw new Error(`Invalid input type: ${typeof str}. Expected string`);
+  }
+
+  const chars = [];
+  const substitutions = [];
+  for (let i = 0; i < str.length; i++) {
+    const char = str[i];
+
+    if (char === '-' || /\s/.test(char)) {
+      substitutions.push({ index: i, from: char, to: '', reason: 'separator' });
+      continue;
+    }
+
+    const value = C2B32[char.charCodeAt(0)];
+    if (value === 0xFF || value === undefined) {
+      throw new Error(`Invalid character in ULID: ${char} at position ${i}`);
+    }
+
+    const canonical = ENCODING.charAt(value);
+    if (canonical !== char) {
+      const reason = canonical === char.toUpperCase() ? 'case' : 'alias';
+      substitutions.push({ index: i, from: char, to: canonical, reason });
+    }
+    chars.push(canonical);
+  }
+
+  const normalized = chars.join('');
+  if (normalized.length !== 26) {
+    throw new Error(`Invalid ULID length: ${normalized.length} characters after removing separators. Expected 26`);
+  }
+
+  // Reject what decodeBase32 would reject, such as a timestamp overflow
+  decodeBase32(normalized, { strict: true });
+
+  return { normalized, substitutions };
+}
+
+// Crockford check symbols: the Base32 alphabet for 0-31, then * ~ $ = U for 32-36
+const CHECK_SYMBOLS = ENCODING + '*~$=U';
+
+/**
+ * Compute the Crockford check symbol of a 16-byte ULID
+ * The symbol encodes the 128-bit value modulo 37, so any single wrong
+ * character and any swap of two different adjacent characters change it:
+ * a swap changes the value by (a - b) * 31 * 32^k, never a multiple of 37
+ * @param {Uint8Array} id - 16-byte array
+ * @returns {string} Check symbol
+ */
+function checkSymbol(id) {
+  let remainder = 0;
+  for (let i = 0; i < 16; i++) {
+    remainder = (remainder * 256 + id[i]) % 37;
+  }
+  return CHECK_SYMBOLS.charAt(remainder);
+}
+
+/**
+ * Encode a 16-byte ULID to a 27-character Base32 string ending in its check symbol
+ * @param {Uint8Array} id - 16-byte array to encode
+ * @returns {string} 26-character ULID followed by the check symbol
+ */
+function encodeBase32WithCheck(id) {
+  return encodeBase32(id) + checkSymbol(id);
+}
+
+/**
+ * Decode a 27-character Base32 string, verifying and stripping its check symbol
+ * The check symbol is read like the other characters: either case, with I and L as 1 and O as 0
+ * @param {string} str - 26-character ULID followed by the check symbol
+ * @returns {Uint8Array} 16-byte array
+ */
+function decodeBase32WithCheck(str) {
+  if (typeof str !== 'string') {
+    throw new Error(`Invalid input type: ${typeof str}. Expected string`);
+  }
+
+  if (str.length !== 27) {
+    throw new Error(`Invalid checked ULID length: ${str.length}. Expected 26 characters and a check symbol`);
+  }
+
+  const symbol = str[26].toUpperCase();
+  let value = CHECK_SYMBOLS.indexOf(symbol);
+  if (value === -1 && C2B32[symbol.charCodeAt(0)] !== 0xFF) {
+    value = C2B32[symbol.charCodeAt(0)];
+  }
+  if (value === -1) {
+    throw new Error(`Invalid check symbol: ${str[26]}`);
+  }
+
+  const id = decodeBase32(str.slice(0, 26));
+  const expected = checkSymbol(id);
+  if (CHECK_SYMBOLS.charAt(value) !== expected) {
+    throw new Error(`Check symbol mismatch: ${str.slice(0, 26)} has check symbol ${expected}, got ${str[26]}`);
+  }
+
+  return id;
+}
+
 /**
  * Extract timestamp from ULID bytes
  * @param {Uint8Array} bytes - 16-byte ULID
@@ -166,6 +280,10 @@ module.exports = {
   C2B32,
   encodeBase32,
   decodeBase32,
+  normalizeBase32,
+  checkSymbol,
+  encodeBase32WithCheck,
+  decodeBase32WithCheck,
   bytesToTimestamp,
   bytesToScope,
   bytesToEntropy
@@ -3,27 +3,305 @@
  * Generates 8 bytes of cryptographically secure random data
  */
 
-const { pULIDEntropyError } = require('./errors');
+const { pULIDEntropyError, pULIDOverflowError } = require('./errors');
+
+// Web Crypto refuses to fill more than 65536 bytes per getRandomValues() call
+const MAX_RANDOM_VALUES_LENGTH = 65536;
+
+/**
+ * Check if the process is running with NODE_ENV=production
+ * @returns {boolean} True in production
+ */
+function isProduction() {
+  return typeof process !== 'undefined' && !!process.env && process.env.NODE_ENV === 'production';
+}
+
+/**
+ * Pick the platform CSPRNG
+ * @returns {Function} Function that generates random bytes
+ * @throws {pULIDEntropyError} If no secure random source is available
+ */
+function initCryptoRandomSource() {
+  // Browser environment - use Web Crypto API
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    return (length) => {
+      const bytes = new Uint8Array(length);
+      for (let offset = 0; offset < length; offset += MAX_RANDOM_VALUES_LENGTH) {
+        crypto.getRandomValues(bytes.subarray(offset, offset + MAX_RANDOM_VALUES_LENGTH));
+      }
+      return bytes;
+    };
+  }
+  
+  // Node.js environment - use crypto module
+  if (typeof require !== 'undefined') {
+    try {
+      const crypto = require('crypto');
+      return (length) => new Uint8Array(crypto.randomBytes(length));
+    } catch (error) {
+      // crypto module not available
+    }
+  }
+  
+  // Fallback error - no secure random source available
+  throw new pULIDEntropyError('No secure random number generator available');
+}
+
+/**
+ * Entropy source backed by the platform CSPRNG
+ * An entropy source is any object with getRandomBytes(length) returning a Uint8Array,
+ * and a secure flag telling whether its output is cryptographically secure
+ */
+class CryptoEntropySource {
+  constructor() {
+    this.secure = true;
+    this.getRandomBytes = initCryptoRandomSource();
+  }
+}
+
+/**
+ * Deterministic entropy source for reproducible test runs and fixtures
+ * NOT cryptographically secure: the same seed always yields the same bytes,
+ * so it is refused when NODE_ENV=production
+ */
+class SeededEntropySource {
+  /**
+   * Create a seeded entropy source
+   * @param {number|string} seed - Seed value; equal seeds produce equal sequences
+   * @throws {pULIDEntropyError} If the seed is invalid or NODE_ENV=production
+   */
+  constructor(seed) {
+    if ((typeof seed !== 'number' || !Number.isFinite(seed)) && typeof seed !== 'string') {
+      throw new pULIDEntropyError(`Invalid seed: ${seed}. Expected a finite number or a string`);
+    }
+
+    if (isProduction()) {
+      throw new pULIDEntropyError('SeededEntropySource is not secure and cannot be used when NODE_ENV=production');
+    }
+
+    this.secure = false;
+    this.seed = seed;
+    this.reset();
+  }
+
+  /**
+   * Restart the sequence from the seed
+   */
+  reset() {
+    // cyrb128 string hash spreads the seed over four 32-bit words of sfc32 state
+    const text = String(this.seed);
+    let h1 = 1779033703;
+    let h2 = 3144134277;
+    let h3 = 1013904242;
+    let h4 = 2773480762;
+    for (let i = 0; i < text.length; i++) {
+      const k = text.charCodeAt(i);
+      h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+      h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+      h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+      h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+    }
+    h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+    h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+    h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+    h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+
+    this.state = new Uint32Array([
+      (h1 ^ h2 ^ h3 ^ h4) >>> 0,
+      (h2 ^ h1) >>> 0,
+      (h3 ^ h1) >>> 0,
+      (h4 ^ h1) >>> 0
+    ]);
+  }
+
+  /**
+   * Produce the next 32-bit output of the sfc32 generator
+   * @returns {number} Unsigned 32-bit integer
+   * @private
+   */
+  next() {
+    const state = this.state;
+    const t = (((state[0] + state[1]) >>> 0) + state[3]) >>> 0;
+    state[3] = state[3] + 1;
+    state[0] = state[1] ^ (state[1] >>> 9);
+    state[1] = state[2] + (state[2] << 3);
+    state[2] = (state[2] << 21) | (state[2] >>> 11);
+    state[2] = state[2] + t;
+    return t;
+  }
+
+  /**
+   * Generate deterministic pseudo-random bytes
+   * @param {number} length - Number of bytes
+   * @returns {Uint8Array} Pseudo-random bytes
+   */
+  getRandomBytes(length) {
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < length; i += 4) {
+      const word = this.next();
+      for (let j = 0; j < 4 && i + j < length; j++) {
+        bytes[i + j] = (word >>> (24 - j * 8)) & 0xff;
+      }
+    }
+    return bytes;
+  }
+}
 
 /**
  * Cross-platform entropy generator
- * Supports both browser (crypto.getRandomValues) and Node.js (crypto.randomBytes)
+ * Supports both browser (crypto.getRandomValues) and Node.js (crypto.randomBytes),
+ * or any pluggable entropy source
  */
 class EntropyGenerator {
-  constructor() {
-    this.getRandomBytes = this.initRandomSource();
+  /**
+   * Create a new entropy generator
+   * @param {Object} [options] - Generator options
+   * @param {{getRandomBytes: Function, secure?: boolean}} [options.source] - Entropy source (defaults to the platform CSPRNG)
+   * @param {number} [options.poolSize=0] - Bytes of randomness to fetch at once and hand out in 8-byte slices (0 disables pooling)
+   * @throws {pULIDEntropyError} If the source or pool size is invalid, or the source is insecure while NODE_ENV=production
+   */
+  constructor(options = {}) {
+    const source = options.source;
+
+    if (source) {
+      if (typeof source.getRandomBytes !== 'function') {
+        throw new pULIDEntropyError('Invalid entropy source: expected an object with getRandomBytes(length)');
+      }
+
+      if (source.secure === false && isProduction()) {
+        throw new pULIDEntropyError('Refusing an insecure entropy source when NODE_ENV=production');
+      }
+
+      this.source = source;
+      this.getRandomBytes = (length) => source.getRandomBytes(length);
+    } else {
+      this.source = null;
+      this.getRandomBytes = this.initRandomSource();
+    }
+
+    this.pool = null;
+    this.poolOffset = 0;
+    this.setPoolSize(options.poolSize || 0);
   }
 
   /**
-   * Generate 8 bytes of cryptographically secure entropy
+   * Generate 8 bytes of entropy from the configured source
    * @returns {Uint8Array} 8 bytes of random data
    */
   generate() {
+    if (this.poolSize > 0) {
+      return this.takeFromPool();
+    }
+
+    return this.fetchRandomBytes(8);
+  }
+
+  /**
+   * Write 8 bytes of entropy into a caller-provided array
+   * With pooling enabled the bytes are copied straight from the pool without allocating
+   * @param {Uint8Array} target - Array to write into
+   * @param {number} [offset=0] - Index of the first byte to write
+   */
+  generateInto(target, offset = 0) {
+    if (this.poolSize > 0) {
+      this.takeFromPoolInto(target, offset);
+      return;
+    }
+
+    const bytes = this.fetchRandomBytes(8);
+    target.set(bytes, offset);
+    bytes.fill(0);
+  }
+
+  /**
+   * Set the entropy pool size, discarding and wiping any pooled bytes
+   * @param {number} size - Pool size in bytes, a multiple of 8 (0 disables pooling)
+   * @throws {pULIDEntropyError} If the size is invalid
+   */
+  setPoolSize(size) {
+    if (typeof size !== 'number' || !Number.isInteger(size) || size < 0 || size % 8 !== 0) {
+      throw new pULIDEntropyError(`Invalid pool size: ${size}. Must be a non-negative multiple of 8`);
+    }
+
+    this.wipePool();
+    this.poolSize = size;
+  }
+
+  /**
+   * Get the pool size and the number of bytes not yet handed out
+   * @returns {{size: number, available: number}} Pool information
+   */
+  getPoolInfo() {
+    return {
+      size: this.poolSize,
+      available: this.pool ? this.pool.length - this.poolOffset : 0
+    };
+  }
+
+  /**
+   * Zero and drop any pooled bytes that have not been handed out
+   */
+  wipePool() {
+    if (this.pool) {
+      this.pool.fill(0);
+    }
+    this.pool = null;
+    this.poolOffset = 0;
+  }
+
+  /**
+   * Take the next 8 bytes from the pool, refilling it when exhausted
+   * The bytes are copied out and zeroed in the pool
+   * @returns {Uint8Array} 8 bytes of random data
+   * @private
+   */
+  takeFromPool() {
+    const bytes = new Uint8Array(8);
+    this.takeFromPoolInto(bytes, 0);
+    return bytes;
+  }
+
+  /**
+   * Copy the next 8 bytes from the pool into a target array, refilling the pool when exhausted
+   * The bytes are zeroed in the pool once copied
+   * @param {Uint8Array} target - Array to write into
+   * @param {number} offset - Index of the first byte to write
+   * @private
+   */
+  takeFromPoolInto(target, offset) {
+    if (!this.pool || this.poolOffset >= this.pool.length) {
+      this.wipePool();
+      this.pool = this.fetchRandomBytes(this.poolSize);
+    }
+
+    const start = this.poolOffset;
+    for (let i = 0; i < 8; i++) {
+      target[offset + i] = this.pool[start + i];
+      this.pool[start + i] = 0;
+    }
+    this.poolOffset = start + 8;
+  }
+
+  /**
+   * Read bytes from the source, checking the length returned
+   * @param {number} length - Number of bytes
+   * @returns {Uint8Array} Random bytes
+   * @throws {pULIDEntropyError} If the source fails or returns the wrong length
+   * @private
+   */
+  fetchRandomBytes(length) {
+    let bytes;
     try {
-      return this.getRandomBytes(8);
+      bytes = this.getRandomBytes(length);
     } catch (error) {
       throw new pULIDEntropyError(`Failed to generate entropy: ${error.message}`);
     }
+
+    if (!bytes || bytes.length !== length) {
+      throw new pULIDEntropyError(`Entropy source returned ${bytes ? bytes.length : 0} bytes, expected ${length}`);
+    }
+
+    return bytes;
   }
 
   /**
@@ -32,39 +310,34 @@ class EntropyGenerator {
    * @private
    */
   initRandomSource() {
-    // Browser environment - use Web Crypto API
-    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
-      return (length) => {
-        const bytes = new Uint8Array(length);
-        crypto.getRandomValues(bytes);
-        return bytes;
-      };
-    }
-    
-    // Node.js environment - use crypto module
-    if (typeof require !== 'undefined') {
-      try {
-        const crypto = require('crypto');
-        return (length) => new Uint8Array(crypto.randomBytes(length));
-      } catch (error) {
-        // crypto module not available
-      }
-    }
-    
-    // Fallback error - no secure random source available
-    throw new pULIDEntropyError('No secure random number generator available');
+    return initCryptoRandomSource();
   }
 
   /**
    * Generate multiple entropy values at once
+   * Draws from the pool when pooling is enabled, otherwise fetches the whole batch in one call
    * @param {number} count - Number of entropy values to generate
    * @returns {Uint8Array[]} Array of entropy byte arrays
    */
   generateBatch(count) {
     const results = [];
+
+    if (this.poolSize > 0) {
+      for (let i = 0; i < count; i++) {
+        results.push(this.takeFromPool());
+      }
+      return results;
+    }
+
+    if (count < 1) {
+      return results;
+    }
+
+    const block = this.fetchRandomBytes(count * 8);
     for (let i = 0; i < count; i++) {
-      results.push(this.generate());
+      results.push(block.slice(i * 8, i * 8 + 8));
     }
+    block.fill(0);
     return results;
   }
 
@@ -91,6 +364,31 @@ class EntropyGenerator {
   }
 }
 
+/**
+ * Increment 8 bytes of entropy as a big-endian unsigned counter
+ * @param {Uint8Array} entropy - 8 bytes of entropy to increment
+ * @returns {Uint8Array} New 8-byte array holding entropy + 1
+ * @throws {pULIDOverflowError} If the entropy is already at its maximum value
+ */
+function incrementEntropy(entropy) {
+  if (!entropy || entropy.length !== 8) {
+    throw new pULIDEntropyError(`Invalid entropy: expected 8 bytes, got ${entropy ? entropy.length : 0}`);
+  }
+
+  const next = new Uint8Array(entropy);
+
+  // Add one starting from the least significant byte, carrying leftwards
+  for (let i = 7; i >= 0; i--) {
+    if (next[i] < 0xff) {
+      next[i]++;
+      return next;
+    }
+    next[i] = 0;
+  }
+
+  throw new pULIDOverflowError('Entropy overflow: monotonic counter exhausted for this millisecond and scope');
+}
+
 /**
  * Default entropy generator instance
  */
@@ -114,7 +412,10 @@ function testEntropy() {
 
 module.exports = {
   EntropyGenerator,
+  CryptoEntropySource,
+  SeededEntropySource,
   defaultEntropyGenerator,
   generateEntropy,
+  incrementEntropy,
   testEntropy
 };
\ No newline at end of file
@@ -63,11 +63,22 @@ class pULIDEntropyError extends pULIDError {
   }
 }
 
+/**
+ * Error thrown when monotonic entropy cannot be incremented any further
+ */
+class pULIDOverflowError extends pULIDError {
+  constructor(message) {
+    super(message);
+    this.name = 'pULIDOverflowError';
+  }
+}
+
 module.exports = {
   pULIDError,
   pULIDParseError,
   pULIDScopeError,
   pULIDTimestampError,
   pULIDUUIDError,
-  pULIDEntropyError
+  pULIDEntropyError,
+  pULIDOverflowError
 };
\ No newline at end of file
@@ -0,0 +1,180 @@
+/**
+ * Structured breakdown of a pULID for debugging
+ * Maps each field to its byte range, ULID character range, UUID character range and raw bits
+ */
+
+const { pULID } = require('./pulid');
+const { defaultScopeManager } = require('./scope');
+
+/**
+ * Byte ranges of the pULID fields (6 bytes timestamp + 2 bytes scope + 8 bytes entropy)
+ */
+const FIELDS = [
+  { name: 'timestamp', start: 0, end: 6 },
+  { name: 'scope', start: 6, end: 8 },
+  { name: 'entropy', start: 8, end: 16 }
+];
+
+// The 26 ULID characters hold 130 bits: the first character carries only the top 3 bits
+const FIRST_CHAR_BITS = 3;
+const CHAR_BITS = 5;
+
+/**
+ * Get the ULID character index holding a bit
+ * @param {number} bit - Bit offset from the most significant bit (0-127)
+ * @returns {number} Character index (0-25)
+ */
+function charForBit(bit) {
+  return bit < FIRST_CHAR_BITS ? 0 : 1 + Math.floor((bit - FIRST_CHAR_BITS) / CHAR_BITS);
+}
+
+/**
+ * Get the range of bits held by a ULID character
+ * @param {number} char - Character index (0-25)
+ * @returns {{first: number, last: number}} Inclusive bit offsets
+ */
+function bitsForChar(char) {
+  if (char === 0) {
+    return { first: 0, last: FIRST_CHAR_BITS - 1 };
+  }
+  const first = FIRST_CHAR_BITS + (char - 1) * CHAR_BITS;
+  return { first, last: first + CHAR_BITS - 1 };
+}
+
+/**
+ * Get the UUID string index of a hex digit, accounting for the 8-4-4-4-12 hyphens
+ * @param {number} hexIndex - Index into the 32 hex digits
+ * @returns {number} Index into the 36-character UUID string
+ */
+function uuidIndexForHex(hexIndex) {
+  return hexIndex + [8, 12, 16, 20].filter(hyphenAt => hexIndex >= hyphenAt).length;
+}
+
+/**
+ * Describe where a byte range sits in the ULID and UUID strings
+ * @param {number} start - First byte (inclusive)
+ * @param {number} end - Last byte (exclusive)
+ * @returns {Object} Character ranges and the ULID characters shared with neighbouring fields
+ */
+function locate(start, end) {
+  const firstBit = start * 8;
+  const lastBit = end * 8 - 1;
+  const firstChar = charForBit(firstBit);
+  const lastChar = charForBit(lastBit);
+
+  const sharedChars = [];
+  for (let char = firstChar; char <= lastChar; char++) {
+    const { first, last } = bitsForChar(char);
+    if (first < firstBit || last > lastBit) {
+      sharedChars.push(char);
+    }
+  }
+
+  return {
+    chars: { start: firstChar, end: lastChar + 1 },
+    sharedChars,
+    uuidChars: { start: uuidIndexForHex(start * 2), end: uuidIndexForHex(end * 2 - 1) + 1 }
+  };
+}
+
+/**
+ * Format bytes as a binary string
+ * @param {Uint8Array} bytes - Bytes to format
+ * @returns {string} One '0' or '1' per bit
+ */
+function toBits(bytes) {
+  return Array.from(bytes, b => b.toString(2).padStart(8, '0')).join('');
+}
+
+/**
+ * Format bytes as lowercase hex
+ * @param {Uint8Array} bytes - Bytes to format
+ * @returns {string} Hex string
+ */
+function toHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Explain a pULID given as a ULID or UUID string
+ * @param {string} input - 26-character ULID or 36-character UUID
+ * @param {Object} [options] - Explain options
+ * @param {number} [options.now=Date.now()] - Reference time for the future-timestamp warning
+ * @param {ScopeManager} [options.scopeManager] - Scope manager used to name the scope (defaults to the shared one)
+ * @returns {Object} Input form, canonical encodings, per-field breakdown and all warnings
+ * @throws {pULIDParseError} If the input is neither a valid ULID nor UUID
+ */
+function explain(input, options = {}) {
+  const now = options.now === undefined ? Date.now() : options.now;
+  const scopeManager = options.scopeManager || defaultScopeManager;
+
+  const form = typeof input === 'string' && input.length === 36 ? 'uuid' : 'ulid';
+  const id = form === 'uuid' ? pULID.fromUUID(input) : pULID.parse(input);
+  const bytes = id.toBytes();
+  const ulid = id.toString();
+
+  const scopeLayout = scopeManager.getLayout();
+  const decoded = {
+    timestamp: { value: id.getTimestamp(), date: id.getTime().toISOString() },
+    scope: {
+      value: id.getScope(),
+      entity: scopeManager.getEntityForScope(id.getScope()),
+      layout: scopeLayout ? scopeLayout.decompose(id.getScope()) : null
+    },
+    entropy: { value: toHex(id.getEntropy()) }
+  };
+
+  const fields = FIELDS.map(({ name, start, end }) => {
+    const raw = bytes.slice(start, end);
+    return {
+      name,
+      bytes: { start, end },
+      ...locate(start, end),
+      bits: toBits(raw),
+      hex: toHex(raw),
+      ...decoded[name],
+      warnings: []
+    };
+  });
+
+  const [timestamp, scope, entropy] = fields;
+
+  if (timestamp.value > now) {
+    timestamp.warnings.push(`Timestamp ${timestamp.date} is in the future`);
+  }
+
+  if (scope.value === scopeManager.MAX_SCOPE) {
+    scope.warnings.push(`Scope ${scope.value} is the reserved maximum, stored when scope 0 is requested`);
+  }
+
+  if (/^0+$/.test(entropy.bits)) {
+    entropy.warnings.push('Entropy is all zero bits; this looks like a range boundary rather than a generated ID');
+  } else if (/^1+$/.test(entropy.bits)) {
+    entropy.warnings.push('Entropy is all one bits; this looks like a range boundary rather than a generated ID');
+  }
+
+  const warnings = [];
+  if (form === 'ulid' && input !== ulid) {
+    const positions = Array.from(input, (char, i) => i).filter(i => input[i] !== ulid[i]);
+    warnings.push({
+      field: null,
+      message: `Input is not canonical: characters ${positions.join(', ')} differ from ${ulid} (lowercase or I/L/O/U aliases)`
+    });
+  }
+  fields.forEach(field => {
+    field.warnings.forEach(message => warnings.push({ field: field.name, message }));
+  });
+
+  return {
+    input,
+    form,
+    ulid,
+    uuid: id.toUUID(),
+    fields,
+    warnings
+  };
+}
+
+module.exports = {
+  explain
+};
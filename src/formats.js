@@ -0,0 +1,305 @@
+/**
+ * Alternative textual encodings of the 16 pULID bytes
+ * Hex, base58 (Bitcoin alphabet), base62 and unpadded base64url, alongside
+ * the canonical Crockford Base32 and hyphenated UUID forms
+ *
+ * Hex, base58 and base62 are fixed-length big-endian numbers over alphabets
+ * listed in ASCII order, so comparing the strings (by code unit, not with
+ * localeCompare) gives the same order as comparing the bytes. Base64url uses
+ * the standard RFC 4648 alphabet, which is not in ASCII order, so it does not
+ * preserve ordering.
+ */
+
+const { pULIDError } = require('./errors');
+const { encodeBase32, decodeBase32 } = require('./encoding');
+const { formatAsUUID, uuidToBytes } = require('./uuid');
+
+const HEX_ALPHABET = '0123456789abcdef';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+const MAX_UINT128 = (1n << 128n) - 1n;
+
+/**
+ * Build a character to digit lookup table
+ * @param {string} alphabet - Digits in value order
+ * @param {boolean} [caseInsensitive=false] - Also map the other letter case
+ * @returns {Map<string, number>} Character to digit value
+ */
+function buildLookup(alphabet, caseInsensitive = false) {
+  const lookup = new Map();
+  for (let i = 0; i < alphabet.length; i++) {
+    lookup.set(alphabet[i], i);
+    if (caseInsensitive) {
+      lookup.set(alphabet[i].toUpperCase(), i);
+    }
+  }
+  return lookup;
+}
+
+const HEX_LOOKUP = buildLookup(HEX_ALPHABET, true);
+const BASE58_LOOKUP = buildLookup(BASE58_ALPHABET);
+const BASE62_LOOKUP = buildLookup(BASE62_ALPHABET);
+const BASE64URL_LOOKUP = buildLookup(BASE64URL_ALPHABET);
+
+/**
+ * Check that bytes hold a 16-byte pULID
+ * @param {Uint8Array} bytes - Bytes to check
+ */
+function assertBytes(bytes) {
+  if (!bytes || bytes.length !== 16) {
+    throw new Error(`Invalid pULID bytes: expected 16 bytes, got ${bytes ? bytes.length : 0}`);
+  }
+}
+
+/**
+ * Check the type and length of an encoded string
+ * @param {string} str - Encoded string
+ * @param {string} name - Format name for error messages
+ * @param {number} length - Expected length
+ */
+function assertString(str, name, length) {
+  if (typeof str !== 'string') {
+    throw new Error(`Invalid input type: ${typeof str}. Expected string`);
+  }
+
+  if (str.length !== length) {
+    throw new Error(`Invalid ${name} length: ${str.length}. Expected ${length} characters`);
+  }
+}
+
+/**
+ * Encode 16 bytes as a fixed-length number in the given alphabet
+ * Shorter values are left-padded with the zero digit so every string has the same length
+ * @param {Uint8Array} bytes - 16-byte array
+ * @param {string} alphabet - Digits in value order
+ * @param {number} length - Output length
+ * @returns {string} Encoded string
+ */
+function encodeFixedBase(bytes, alphabet, length) {
+  assertBytes(bytes);
+
+  let value = 0n;
+  for (const byte of bytes) {
+    value = (value << 8n) | BigInt(byte);
+  }
+
+  const base = BigInt(alphabet.length);
+  const digits = new Array(length);
+  for (let i = length - 1; i >= 0; i--) {
+    digits[i] = alphabet[Number(value % base)];
+    value /= base;
+  }
+  return digits.join('');
+}
+
+/**
+ * Decode a fixed-length number in the given alphabet to 16 bytes
+ * @param {string} str - Encoded string
+ * @param {string} name - Format name for error messages
+ * @param {Map<string, number>} lookup - Character to digit value
+ * @param {number} length - Expected length
+ * @returns {Uint8Array} 16-byte array
+ */
+function decodeFixedBase(str, name, lookup, length) {
+  assertString(str, name, length);
+
+  const base = BigInt(lookup.size);
+  let value = 0n;
+  for (let i = 0; i < length; i++) {
+    const digit = lookup.get(str[i]);
+    if (digit === undefined) {
+      throw new Error(`Invalid character in ${name}: ${str[i]}`);
+    }
+    value = value * base + BigInt(digit);
+  }
+
+  if (value > MAX_UINT128) {
+    throw new Error(`Invalid ${name} value: exceeds 128 bits`);
+  }
+
+  const bytes = new Uint8Array(16);
+  for (let i = 15; i >= 0; i--) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return bytes;
+}
+
+/**
+ * Encode 16 bytes as 32 lowercase hex characters
+ * @param {Uint8Array} bytes - 16-byte array
+ * @returns {string} Hex string
+ */
+function encodeHex(bytes) {
+  assertBytes(bytes);
+
+  let hex = '';
+  for (const byte of bytes) {
+    hex += HEX_ALPHABET[byte >> 4] + HEX_ALPHABET[byte & 15];
+  }
+  return hex;
+}
+
+/**
+ * Decode 32 hex characters (either case) to 16 bytes
+ * @param {string} str - Hex string
+ * @returns {Uint8Array} 16-byte array
+ */
+function decodeHex(str) {
+  assertString(str, 'hex', 32);
+
+  const bytes = new Uint8Array(16);
+  for (let i = 0; i < 32; i++) {
+    const digit = HEX_LOOKUP.get(str[i]);
+    if (digit === undefined) {
+      throw new Error(`Invalid character in hex: ${str[i]}`);
+    }
+    bytes[i >> 1] |= i % 2 === 0 ? digit << 4 : digit;
+  }
+  return bytes;
+}
+
+/**
+ * Encode 16 bytes as 22 base58 characters (Bitcoin alphabet, left-padded with '1')
+ * @param {Uint8Array} bytes - 16-byte array
+ * @returns {string} Base58 string
+ */
+function encodeBase58(bytes) {
+  return encodeFixedBase(bytes, BASE58_ALPHABET, 22);
+}
+
+/**
+ * Decode 22 base58 characters to 16 bytes
+ * @param {string} str - Base58 string
+ * @returns {Uint8Array} 16-byte array
+ */
+function decodeBase58(str) {
+  return decodeFixedBase(str, 'base58', BASE58_LOOKUP, 22);
+}
+
+/**
+ * Encode 16 bytes as 22 base62 characters (left-padded with '0')
+ * @param {Uint8Array} bytes - 16-byte array
+ * @returns {string} Base62 string
+ */
+function encodeBase62(bytes) {
+  return encodeFixedBase(bytes, BASE62_ALPHABET, 22);
+}
+
+/**
+ * Decode 22 base62 characters to 16 bytes
+ * @param {string} str - Base62 string
+ * @returns {Uint8Array} 16-byte array
+ */
+function decodeBase62(str) {
+  return decodeFixedBase(str, 'base62', BASE62_LOOKUP, 22);
+}
+
+/**
+ * Encode 16 bytes as 22 unpadded base64url characters (RFC 4648 section 5)
+ * @param {Uint8Array} bytes - 16-byte array
+ * @returns {string} Base64url string
+ */
+function encodeBase64Url(bytes) {
+  assertBytes(bytes);
+
+  let str = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = ((buffer << 8) | byte) & 0x3fff;
+    bits += 8;
+    while (bits >= 6) {
+      bits -= 6;
+      str += BASE64URL_ALPHABET[(buffer >> bits) & 63];
+    }
+  }
+  // 128 bits leave 2 over, padded with zero bits into a final character
+  return str + BASE64URL_ALPHABET[(buffer << (6 - bits)) & 63];
+}
+
+/**
+ * Decode 22 unpadded base64url characters to 16 bytes
+ * @param {string} str - Base64url string
+ * @returns {Uint8Array} 16-byte array
+ */
+function decodeBase64Url(str) {
+  assertString(str, 'base64url', 22);
+
+  const bytes = new Uint8Array(16);
+  let buffer = 0;
+  let bits = 0;
+  let index = 0;
+  for (let i = 0; i < 22; i++) {
+    const digit = BASE64URL_LOOKUP.get(str[i]);
+    if (digit === undefined) {
+      throw new Error(`Invalid character in base64url: ${str[i]}`);
+    }
+    buffer = ((buffer << 6) | digit) & 0xfff;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[index++] = (buffer >> bits) & 0xff;
+    }
+  }
+
+  // The 4 padding bits of the last character must be zero, so each ID has one spelling
+  if ((buffer & ((1 << bits) - 1)) !== 0) {
+    throw new Error('Invalid base64url: non-zero padding bits in last character');
+  }
+  return bytes;
+}
+
+/**
+ * Registered formats
+ * Each entry has encode/decode functions, the encoded length and whether
+ * string order matches byte order
+ */
+const FORMATS = {
+  base32: { encode: encodeBase32, decode: decodeBase32, length: 26, sortable: true },
+  uuid: { encode: formatAsUUID, decode: uuidToBytes, length: 36, sortable: true },
+  hex: { encode: encodeHex, decode: decodeHex, length: 32, sortable: true },
+  base58: { encode: encodeBase58, decode: decodeBase58, length: 22, sortable: true },
+  base62: { encode: encodeBase62, decode: decodeBase62, length: 22, sortable: true },
+  base64url: { encode: encodeBase64Url, decode: decodeBase64Url, length: 22, sortable: false }
+};
+
+/**
+ * Look up a format by name
+ * @param {string} name - Format name
+ * @returns {Object} Format entry
+ * @throws {pULIDError} If the format is unknown
+ */
+function getFormat(name) {
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, name)) {
+    throw new pULIDError(`Unknown format: ${name}. Expected one of ${Object.keys(FORMATS).join(', ')}`);
+  }
+  return FORMATS[name];
+}
+
+/**
+ * List the available formats
+ * @returns {Array<{name: string, length: number, sortable: boolean}>} Format descriptions
+ */
+function listFormats() {
+  return Object.keys(FORMATS).map(name => ({
+    name,
+    length: FORMATS[name].length,
+    sortable: FORMATS[name].sortable
+  }));
+}
+
+module.exports = {
+  encodeHex,
+  decodeHex,
+  encodeBase58,
+  decodeBase58,
+  encodeBase62,
+  decodeBase62,
+  encodeBase64Url,
+  decodeBase64Url,
+  getFormat,
+  listFormats
+};
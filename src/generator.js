@@ -3,11 +3,23 @@
  * Provides configurable generation with default settings
  */
 
-const { pULID } = require('./pulid');
-const { EntropyGenerator } = require('./entropy');
+const { pULID, validateJSONMode } = require('./pulid');
+const { EntropyGenerator, incrementEntropy } = require('./entropy');
 const { TimestampGenerator } = require('./timestamp');
-const { ScopeManager } = require('./scope');
-const { pULIDError } = require('./errors');
+const { defaultScopeManager, validateScope } = require('./scope');
+const { validateTimestamp } = require('./timestamp');
+const { byteViewAt } = require('./binary');
+const { pULIDError, pULIDTimestampError } = require('./errors');
+
+/**
+ * Policies applied when the clock returns a timestamp earlier than the last one issued
+ * - ignore: issue the earlier timestamp (IDs may sort before ones already issued)
+ * - throw: throw a pULIDTimestampError
+ * - reuse: issue the last timestamp again until the clock catches up
+ * - wait: busy-wait until the clock catches up, for at most maxClockWait milliseconds;
+ *   the wait is synchronous and blocks the event loop
+ */
+const CLOCK_REGRESSION_POLICIES = ['ignore', 'throw', 'reuse', 'wait'];
 
 /**
  * pULID Generator class for controlled generation
@@ -18,18 +30,52 @@ class pULIDGenerator {
    * @param {Object} options - Generator configuration
    * @param {number} [options.defaultScope=0] - Default scope for generated pULIDs
    * @param {boolean} [options.validateScope=true] - Whether to validate scopes
+   * @param {boolean} [options.monotonic=false] - Increment entropy for pULIDs sharing a millisecond and scope
    * @param {EntropyGenerator} [options.entropyGenerator] - Custom entropy generator
+   * @param {{getRandomBytes: Function, secure?: boolean}} [options.entropySource] - Entropy source for the default entropy generator
+   * @param {number} [options.entropyPoolSize=0] - Entropy pool size in bytes for the default entropy generator
    * @param {TimestampGenerator} [options.timestampGenerator] - Custom timestamp generator
-   * @param {ScopeManager} [options.scopeManager] - Custom scope manager
+   * @param {ScopeManager} [options.scopeManager] - Custom scope manager (defaults to the shared defaultScopeManager,
+   *   so entities registered with registerEntity() are visible; pass a new ScopeManager for a private registry)
+   * @param {string} [options.clockRegression='ignore'] - Policy when the clock goes backwards: ignore, throw, reuse or wait
+   * @param {number} [options.maxClockWait=10] - Longest regression, in milliseconds, the wait policy will block the thread for
+   * @param {Function} [options.onClockRegression] - Called with { previous, current, regression, policy } on every regression
+   * @param {string} [options.json] - toJSON() mode for generated pULIDs: ulid, uuid or object (defaults to pULID.getJSONMode())
    */
   constructor(options = {}) {
     this.defaultScope = options.defaultScope || 1;
     this.validateScope = options.validateScope !== false;
+    this.monotonic = options.monotonic === true;
+    this.clockRegression = options.clockRegression || 'ignore';
+    this.maxClockWait = options.maxClockWait !== undefined ? options.maxClockWait : 10;
+    this.onClockRegression = options.onClockRegression || null;
+    this.json = options.json || null;
+
+    if (!CLOCK_REGRESSION_POLICIES.includes(this.clockRegression)) {
+      throw new pULIDError(`Invalid clockRegression policy: ${this.clockRegression}. Must be one of ${CLOCK_REGRESSION_POLICIES.join(', ')}`);
+    }
+
+    if (typeof this.maxClockWait !== 'number' || !Number.isInteger(this.maxClockWait) || this.maxClockWait < 0) {
+      throw new pULIDError(`Invalid maxClockWait: ${this.maxClockWait}. Must be a non-negative integer`);
+    }
+
+    if (this.json !== null) {
+      validateJSONMode(this.json);
+    }
+
+    // Last timestamp and entropy issued per scope, used in monotonic mode
+    this.monotonicState = new Map();
+
+    // Latest timestamp read from the clock, used to detect clock regressions
+    this.lastTimestamp = null;
     
     // Initialize generators
-    this.entropyGenerator = options.entropyGenerator || new EntropyGenerator();
+    this.entropyGenerator = options.entropyGenerator || new EntropyGenerator({
+      source: options.entropySource,
+      poolSize: options.entropyPoolSize
+    });
     this.timestampGenerator = options.timestampGenerator || new TimestampGenerator();
-    this.scopeManager = options.scopeManager || new ScopeManager();
+    this.scopeManager = options.scopeManager || defaultScopeManager;
     
     // Validate default scope
     if (this.validateScope) {
@@ -44,18 +90,204 @@ class pULIDGenerator {
    * @param {number} [options.scope] - Custom scope (defaults to generator's default scope)
    * @param {Uint8Array} [options.entropy] - Custom entropy (defaults to random generation)
    * @returns {pULID} New pULID instance
+   * @throws {pULIDOverflowError} If monotonic entropy is exhausted for the millisecond and scope
+   * @throws {pULIDTimestampError} If the clock went backwards and the regression policy rejects it
    */
   generate(options = {}) {
-    const timestamp = options.timestamp || this.timestampGenerator.generate();
+    const timestamp = options.timestamp || this.nextTimestamp();
     const scope = options.scope !== undefined ? options.scope : this.defaultScope;
-    const entropy = options.entropy || this.entropyGenerator.generate();
 
     // Validate scope if validation is enabled
     if (this.validateScope) {
       this.scopeManager.validate(scope);
     }
 
-    return new pULID(timestamp, scope, entropy);
+    const entropy = options.entropy || this.nextEntropy(timestamp, scope);
+    const id = new pULID(timestamp, scope, entropy, this.json ? { json: this.json } : {});
+
+    // Later IDs in the same millisecond and scope must continue from explicit entropy too
+    if (options.entropy && this.monotonic) {
+      this.rememberEntropy(timestamp, scope, id.getEntropy());
+    }
+
+    return id;
+  }
+
+  /**
+   * Generate a new pULID straight into a caller-provided binary buffer
+   * No pULID instance, byte array or string is created; with an entropy pool
+   * the random bytes are copied from the pool without allocating either
+   * @param {Buffer|Uint8Array|ArrayBuffer|DataView} buffer - Buffer to write into
+   * @param {number} [offset=0] - Byte offset to write at
+   * @param {Object} [options] - Generation options, as for generate()
+   * @returns {number} Offset just past the written bytes (offset + 16)
+   * @throws {pULIDError} If the buffer is not binary or 16 bytes do not fit at the offset
+   */
+  generateInto(buffer, offset = 0, options = {}) {
+    const bytes = byteViewAt(buffer, offset, pULIDError);
+    const timestamp = options.timestamp || this.nextTimestamp();
+    const scope = options.scope !== undefined ? options.scope : this.defaultScope;
+
+    // Same checks as the pULID constructor, all made before anything is written
+    if (this.validateScope) {
+      this.scopeManager.validate(scope);
+    }
+    validateTimestamp(timestamp);
+    if (scope !== 0) {
+      validateScope(scope);
+    }
+
+    if (options.entropy) {
+      if (options.entropy.length !== 8) {
+        throw new pULIDError(`Invalid entropy: expected 8 bytes, got ${options.entropy.length}`);
+      }
+      bytes.set(options.entropy, offset + 8);
+      if (this.monotonic) {
+        this.rememberEntropy(timestamp, scope, Uint8Array.from(options.entropy));
+      }
+    } else if (this.monotonic) {
+      bytes.set(this.nextEntropy(timestamp, scope), offset + 8);
+    } else if (typeof this.entropyGenerator.generateInto === 'function') {
+      this.entropyGenerator.generateInto(bytes, offset + 8);
+    } else {
+      // Custom entropy generators may only implement generate()
+      bytes.set(this.entropyGenerator.generate(), offset + 8);
+    }
+
+    // 48-bit big-endian timestamp, then the scope (0 is stored as 65535)
+    let remaining = timestamp;
+    for (let i = 5; i >= 0; i--) {
+      bytes[offset + i] = remaining % 256;
+      remaining = Math.floor(remaining / 256);
+    }
+    const storedScope = scope === 0 ? 65535 : scope;
+    bytes[offset + 6] = storedScope >> 8;
+    bytes[offset + 7] = storedScope & 255;
+
+    return offset + 16;
+  }
+
+  /**
+   * Read the clock, applying the clock regression policy if it went backwards
+   * Custom timestamps passed to generate() bypass this check
+   * @returns {number} Timestamp for the next pULID
+   * @throws {pULIDTimestampError} If the regression policy rejects the timestamp
+   * @private
+   */
+  nextTimestamp() {
+    let timestamp = this.timestampGenerator.generate();
+
+    if (this.lastTimestamp !== null && timestamp < this.lastTimestamp) {
+      timestamp = this.handleClockRegression(timestamp);
+    }
+
+    if (this.lastTimestamp === null || timestamp > this.lastTimestamp) {
+      this.lastTimestamp = timestamp;
+    }
+
+    return timestamp;
+  }
+
+  /**
+   * Report a clock regression and apply the configured policy
+   * @param {number} timestamp - Timestamp read from the clock, earlier than the last one issued
+   * @returns {number} Timestamp to issue
+   * @throws {pULIDTimestampError} If the policy is throw, or wait gives up
+   * @private
+   */
+  handleClockRegression(timestamp) {
+    const previous = this.lastTimestamp;
+    const regression = previous - timestamp;
+
+    if (this.onClockRegression) {
+      this.onClockRegression({ previous, current: timestamp, regression, policy: this.clockRegression });
+    }
+
+    switch (this.clockRegression) {
+      case 'throw':
+        throw new pULIDTimestampError(`Clock moved backwards by ${regression}ms: ${timestamp} < last issued ${previous}`);
+
+      case 'reuse':
+        return previous;
+
+      case 'wait':
+        return this.waitForClock(timestamp);
+
+      default:
+        return timestamp;
+    }
+  }
+
+  /**
+   * Busy-wait until the clock reaches the last issued timestamp
+   * The wait is synchronous: it blocks the thread, and with it the event loop.
+   * Time waited is measured on the injected timestampGenerator, counting only forward
+   * steps, so a fake clock controls the wait; wall time only bounds a clock that has stopped.
+   * @param {number} timestamp - Timestamp read from the clock
+   * @returns {number} First timestamp read that is not earlier than the last issued one
+   * @throws {pULIDTimestampError} If the regression exceeds maxClockWait, or the clock does not catch up within it
+   * @private
+   */
+  waitForClock(timestamp) {
+    const previous = this.lastTimestamp;
+
+    if (previous - timestamp > this.maxClockWait) {
+      throw new pULIDTimestampError(`Clock moved backwards by ${previous - timestamp}ms, more than maxClockWait (${this.maxClockWait}ms)`);
+    }
+
+    const stoppedDeadline = Date.now() + this.maxClockWait;
+    let waited = 0;
+    let current = timestamp;
+
+    while (current < previous) {
+      if (waited > this.maxClockWait || Date.now() > stoppedDeadline) {
+        throw new pULIDTimestampError(`Clock did not catch up with last issued timestamp ${previous} within ${this.maxClockWait}ms`);
+      }
+
+      const next = this.timestampGenerator.generate();
+      if (next > current) {
+        waited += next - current;
+      }
+      current = next;
+    }
+
+    return current;
+  }
+
+  /**
+   * Get entropy for the next pULID
+   * In monotonic mode, a pULID with the same timestamp and scope as the previous one
+   * receives the previous entropy incremented by one instead of fresh random bytes
+   * @param {number} timestamp - Timestamp of the pULID being generated
+   * @param {number} scope - Scope of the pULID being generated
+   * @returns {Uint8Array} 8 bytes of entropy
+   * @private
+   */
+  nextEntropy(timestamp, scope) {
+    if (!this.monotonic) {
+      return this.entropyGenerator.generate();
+    }
+
+    // Scope 0 is stored as MAX_SCOPE, so both share one counter
+    const last = this.monotonicState.get(scope === 0 ? 65535 : scope);
+
+    const entropy = last && last.timestamp === timestamp
+      ? incrementEntropy(last.entropy)
+      : this.entropyGenerator.generate();
+
+    this.rememberEntropy(timestamp, scope, entropy);
+    return entropy;
+  }
+
+  /**
+   * Record the entropy last issued for a scope, for monotonic mode
+   * @param {number} timestamp - Timestamp of the issued pULID
+   * @param {number} scope - Scope of the issued pULID
+   * @param {Uint8Array} entropy - Entropy of the issued pULID (not modified afterwards)
+   * @private
+   */
+  rememberEntropy(timestamp, scope, entropy) {
+    this.monotonicState.set(scope === 0 ? 65535 : scope, { timestamp, entropy });
   }
 
   /**
@@ -87,13 +319,42 @@ class pULIDGenerator {
       throw new pULIDError(`Invalid count: ${count}. Must be a positive number`);
     }
 
+    // Draw all entropy up front unless it is supplied, derived from the previous ID,
+    // or the custom entropy generator only implements generate()
+    const batched = !options.entropy && !this.monotonic && typeof this.entropyGenerator.generateBatch === 'function';
+    const entropies = batched ? this.entropyGenerator.generateBatch(count) : null;
+
     const results = [];
     for (let i = 0; i < count; i++) {
-      results.push(this.generate(options));
+      if (entropies) {
+        // pULID keeps its own copy, so the drawn bytes can be wiped straight away
+        results.push(this.generate({ ...options, entropy: entropies[i] }));
+        entropies[i].fill(0);
+      } else {
+        results.push(this.generate(options));
+      }
     }
     return results;
   }
 
+  /**
+   * Generate multiple pULIDs into one packed buffer (see packed.js)
+   * @param {number} count - Number of pULIDs to generate
+   * @param {Object} options - Generation options
+   * @returns {Uint8Array} Buffer of count × 16 bytes
+   */
+  generateBatchPacked(count, options = {}) {
+    if (typeof count !== 'number' || count < 1) {
+      throw new pULIDError(`Invalid count: ${count}. Must be a positive number`);
+    }
+
+    const packed = new Uint8Array(count * 16);
+    for (let offset = 0; offset < packed.length;) {
+      offset = this.generateInto(packed, offset, options);
+    }
+    return packed;
+  }
+
   /**
    * Generate multiple pULID strings
    * @param {number} count - Number of pULIDs to generate
@@ -174,6 +435,10 @@ class pULIDGenerator {
       defaultScope: reportedScope,
       originalScope: this.defaultScope, // Add original scope for debugging
       validateScope: this.validateScope,
+      monotonic: this.monotonic,
+      json: this.json || pULID.getJSONMode(),
+      clockRegression: this.clockRegression,
+      maxClockWait: this.maxClockWait,
       scopeInfo: this.scopeManager.getScopeInfo(),
       timestampInfo: this.timestampGenerator.getTimestampInfo()
     };
@@ -193,6 +458,23 @@ function createScopedGenerator(scope, options = {}) {
   });
 }
 
+/**
+ * Create a generator whose default scope is the one registered for an entity
+ * @param {string} entityType - Registered entity name
+ * @param {Object} options - Additional generator options
+ * @returns {pULIDGenerator} New generator for the entity's scope
+ * @throws {pULIDScopeError} If the entity is not registered
+ */
+function createEntityGenerator(entityType, options = {}) {
+  const scopeManager = options.scopeManager || defaultScopeManager;
+
+  return new pULIDGenerator({
+    ...options,
+    scopeManager,
+    defaultScope: scopeManager.getScopeForEntity(entityType)
+  });
+}
+
 /**
  * Default pULID generator instance
  */
@@ -219,6 +501,7 @@ function generateString(options = {}) {
 module.exports = {
   pULIDGenerator,
   createScopedGenerator,
+  createEntityGenerator,
   defaultGenerator,
   generate,
   generateString
@@ -8,9 +8,10 @@ const { pULID } = require('./pulid');
 const { pULIDGenerator, createScopedGenerator, createEntityGenerator, defaultGenerator } = require('./generator');
 
 // Component classes
-const { EntropyGenerator } = require('./entropy');
-const { TimestampGenerator } = require('./timestamp');
+const { EntropyGenerator, CryptoEntropySource, SeededEntropySource } = require('./entropy');
+const { TimestampGenerator, FakeTimestampGenerator } = require('./timestamp');
 const { ScopeManager } = require('./scope');
+const { ScopeLayout } = require('./layout');
 const { UUIDConverter } = require('./uuid');
 
 // Error classes
@@ -20,13 +21,44 @@ const {
   pULIDScopeError,
   pULIDTimestampError,
   pULIDUUIDError,
-  pULIDEntropyError
+  pULIDEntropyError,
+  pULIDOverflowError
 } = require('./errors');
 
 // Utility functions
-const { encodeBase32, decodeBase32 } = require('./encoding');
-const { generateEntropy, testEntropy } = require('./entropy');
-const { validateScope, isValidScope, scopeToBytes, bytesToScope } = require('./scope');
+const { encodeBase32, decodeBase32, encodeBase32WithCheck, decodeBase32WithCheck } = require('./encoding');
+const {
+  encodeHex,
+  decodeHex,
+  encodeBase58,
+  decodeBase58,
+  encodeBase62,
+  decodeBase62,
+  encodeBase64Url,
+  decodeBase64Url,
+  listFormats
+} = require('./formats');
+const {
+  packPulids,
+  unpackPulids,
+  packedToStrings,
+  stringsToPacked,
+  toArrowFixedSizeBinary
+} = require('./packed');
+const codecs = require('./codecs');
+const { pULIDValidator, createValidator } = require('./validator');
+const { createParamParser, createParamMiddleware, createKoaParamMiddleware } = require('./middleware');
+const { generateEntropy, incrementEntropy, testEntropy } = require('./entropy');
+const {
+  validateScope,
+  isValidScope,
+  scopeToBytes,
+  bytesToScope,
+  registerEntity,
+  getScopeForEntity,
+  getEntityForScope,
+  loadScopeManifest
+} = require('./scope');
 const { validateTimestamp, isValidTimestamp, timestampToBytes, bytesToTimestamp } = require('./timestamp');
 const { formatAsUUID, uuidToBytes, validateUUID, isValidUUID, createUUID } = require('./uuid');
 
@@ -54,19 +86,22 @@ function generate(options = {}) {
 /**
  * Parse a pULID from string
  * @param {string} string - ULID string to parse
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.mode='lenient'] - Accepted characters: lenient or strict
  * @returns {pULID} Parsed pULID instance
  */
-function parse(string) {
-  return pULID.parse(string);
+function parse(string, options = {}) {
+  return pULID.parse(string, options);
 }
 
 /**
  * Validate a pULID string
  * @param {string} string - String to validate
+ * @param {Object} [options] - Parse options (see parse)
  * @returns {boolean} True if valid
  */
-function isValid(string) {
-  return pULID.isValid(string);
+function isValid(string, options = {}) {
+  return pULID.isValid(string, options);
 }
 
 /**
@@ -137,8 +172,12 @@ module.exports = {
 
   // Component classes
   EntropyGenerator,
+  CryptoEntropySource,
+  SeededEntropySource,
   TimestampGenerator,
+  FakeTimestampGenerator,
   ScopeManager,
+  ScopeLayout,
   UUIDConverter,
 
   // Generator utilities
@@ -146,6 +185,13 @@ module.exports = {
   createEntityGenerator,
   defaultGenerator,
 
+  // Validation
+  pULIDValidator,
+  createValidator,
+  createParamParser,
+  createParamMiddleware,
+  createKoaParamMiddleware,
+
   // Error classes
   pULIDError,
   pULIDParseError,
@@ -153,16 +199,39 @@ module.exports = {
   pULIDTimestampError,
   pULIDUUIDError,
   pULIDEntropyError,
+  pULIDOverflowError,
 
   // Low-level utilities
   encodeBase32,
   decodeBase32,
+  encodeBase32WithCheck,
+  decodeBase32WithCheck,
+  encodeHex,
+  decodeHex,
+  encodeBase58,
+  decodeBase58,
+  encodeBase62,
+  decodeBase62,
+  encodeBase64Url,
+  decodeBase64Url,
+  listFormats,
+  packPulids,
+  unpackPulids,
+  packedToStrings,
+  stringsToPacked,
+  toArrowFixedSizeBinary,
+  codecs,
   generateEntropy,
+  incrementEntropy,
   testEntropy,
   validateScope,
   isValidScope,
   scopeToBytes,
   bytesToScope,
+  registerEntity,
+  getScopeForEntity,
+  getEntityForScope,
+  loadScopeManifest,
   validateTimestamp,
   isValidTimestamp,
   timestampToBytes,
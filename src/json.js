@@ -0,0 +1,133 @@
+/**
+ * JSON.parse reviver for pULIDs at chosen key paths
+ * A reviver only sees one key at a time, so matching is done in a single walk
+ * of the parsed value when JSON.parse reaches the root. parseJSON() walks from
+ * the real root after a plain JSON.parse and needs no root detection at all.
+ */
+
+const { pULID } = require('./pulid');
+const { pULIDError } = require('./errors');
+
+/**
+ * Split and check the key paths to revive
+ * @param {string[]} paths - Dot-separated key paths
+ * @returns {string[][]} Path segments
+ * @throws {pULIDError} If paths is not an array of strings
+ */
+function parsePaths(paths) {
+  if (!Array.isArray(paths) || !paths.every(path => typeof path === 'string')) {
+    throw new pULIDError('Invalid reviver paths: expected an array of dot-separated key paths');
+  }
+
+  return paths.map(path => (path === '' ? [] : path.split('.')));
+}
+
+/**
+ * Convert a value to a pULID if it has one of the toJSON() shapes
+ * @param {*} value - Value at a matching path
+ * @returns {*} pULID instance, or the value unchanged if it is not a pULID
+ */
+function revive(value) {
+  if (value === null || (typeof value !== 'string' && typeof value !== 'object') || value instanceof pULID) {
+    return value;
+  }
+
+  try {
+    return pULID.fromJSON(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Replace the values at the given path segments, descending into objects and arrays
+ * @param {Object|Array} holder - Object or array holding the current value
+ * @param {string} key - Key of the current value in holder
+ * @param {string[][]} paths - Remaining segments of each path
+ * @param {Array[]} [changes] - Receives [holder, key, original] for each replaced value
+ */
+function walk(holder, key, paths, changes) {
+  if (paths.some(segments => segments.length === 0)) {
+    const original = holder[key];
+    holder[key] = revive(original);
+    if (changes && holder[key] !== original) {
+      changes.push([holder, key, original]);
+    }
+  }
+
+  const value = holder[key];
+  if (!value || typeof value !== 'object' || value instanceof pULID) {
+    return;
+  }
+
+  for (const childKey of Object.keys(value)) {
+    const remaining = paths
+      .filter(segments => segments.length > 0 && (segments[0] === '*' || segments[0] === childKey))
+      .map(segments => segments.slice(1));
+
+    if (remaining.length > 0) {
+      walk(value, childKey, remaining, changes);
+    }
+  }
+}
+
+/**
+ * Create a JSON.parse reviver that turns pULIDs at chosen key paths back into instances
+ * Matching strings (ULID or UUID) and objects (the full toJSON() object) become pULIDs;
+ * anything else at a matching path, such as null or an invalid string, is left unchanged
+ * @param {string[]} paths - Dot-separated key paths such as "id" or "items.*.orderId";
+ *   "*" matches any key or array index, and "" matches the top-level value
+ * @returns {Function} Reviver for JSON.parse
+ * @throws {pULIDError} If paths is not an array of strings
+ */
+function createReviver(paths) {
+  const segments = parsePaths(paths);
+  // Holders that looked like the root, with the replacements made when walking from them
+  const candidates = new WeakMap();
+
+  return function reviver(key, value) {
+    // A candidate passed on as a value was a nested { "": ... } object, not the root:
+    // its children have all been revived already, so the replacements can be undone
+    if (value !== null && typeof value === 'object' && candidates.has(value)) {
+      const changes = candidates.get(value);
+      for (let i = changes.length - 1; i >= 0; i--) {
+        const [holder, changedKey, original] = changes[i];
+        holder[changedKey] = original;
+      }
+      candidates.delete(value);
+    }
+
+    // JSON.parse calls the reviver for the top-level value last, with key "" on a holder { "": value }.
+    // The real holder is never passed on as a value, so its replacements are the ones that stay
+    if (key !== '' || Object.keys(this).length !== 1) {
+      return value;
+    }
+
+    const root = { '': value };
+    const changes = [[this, '', value]];
+    walk(root, '', segments, changes);
+    candidates.set(this, changes);
+    return root[''];
+  };
+}
+
+/**
+ * Parse JSON text and turn pULIDs at chosen key paths back into instances
+ * Same matching as createReviver(), walking from the parsed top-level value
+ * @param {string} text - JSON text
+ * @param {string[]} paths - Dot-separated key paths (see createReviver)
+ * @returns {*} Parsed value
+ * @throws {pULIDError} If paths is not an array of strings
+ * @throws {SyntaxError} If the text is not valid JSON
+ */
+function parseJSON(text, paths) {
+  const segments = parsePaths(paths);
+  const root = { '': JSON.parse(text) };
+  walk(root, '', segments);
+  return root[''];
+}
+
+module.exports = {
+  createReviver,
+  parseJSON
+};
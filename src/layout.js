@@ -0,0 +1,157 @@
+/**
+ * Bit-partitioned scope layouts for pULID
+ * Splits the 16-bit scope into named sub-fields (e.g. 4 bits region + 12 bits entity type)
+ */
+
+const { pULIDScopeError } = require('./errors');
+
+const SCOPE_BITS = 16;
+
+/**
+ * Named bit fields packed into a 16-bit scope value
+ * Fields are laid out from the most significant bit downwards, in declaration order
+ */
+class ScopeLayout {
+  /**
+   * Create a new scope layout
+   * @param {Array<{name: string, bits: number}>} fields - Field definitions, most significant first
+   * @throws {pULIDScopeError} If the field definitions are invalid or exceed 16 bits
+   */
+  constructor(fields) {
+    if (!Array.isArray(fields) || fields.length === 0) {
+      throw new pULIDScopeError('Invalid scope layout: expected a non-empty array of fields');
+    }
+
+    const names = new Set();
+    let offset = SCOPE_BITS;
+
+    this.fields = fields.map((field) => {
+      const { name, bits } = field || {};
+
+      if (typeof name !== 'string' || name.length === 0) {
+        throw new pULIDScopeError(`Invalid scope layout field name: ${JSON.stringify(name)}. Expected a non-empty string`);
+      }
+
+      if (names.has(name)) {
+        throw new pULIDScopeError(`Invalid scope layout: field "${name}" is defined more than once`);
+      }
+
+      if (typeof bits !== 'number' || !Number.isInteger(bits) || bits < 1) {
+        throw new pULIDScopeError(`Invalid width for scope field "${name}": ${bits}. Must be a positive integer`);
+      }
+
+      offset -= bits;
+      if (offset < 0) {
+        throw new pULIDScopeError(`Invalid scope layout: fields use more than ${SCOPE_BITS} bits`);
+      }
+
+      names.add(name);
+      return Object.freeze({ name, bits, shift: offset, max: (1 << bits) - 1 });
+    });
+
+    this.totalBits = SCOPE_BITS - offset;
+    Object.freeze(this.fields);
+  }
+
+  /**
+   * Compose a scope value from field values
+   * Missing fields default to 0
+   * @param {Object<string, number>} values - Field values by name
+   * @returns {number} Scope value (1-65535)
+   * @throws {pULIDScopeError} If a field is unknown or out of range, or all fields are 0
+   */
+  compose(values) {
+    if (!values || typeof values !== 'object') {
+      throw new pULIDScopeError(`Invalid scope field values: ${values}. Expected an object`);
+    }
+
+    for (const name of Object.keys(values)) {
+      this.getFieldInfo(name);
+    }
+
+    let scope = 0;
+    for (const field of this.fields) {
+      const value = values[field.name] === undefined ? 0 : values[field.name];
+
+      if (typeof value !== 'number' || !Number.isInteger(value) || value < 0 || value > field.max) {
+        throw new pULIDScopeError(`Invalid value for scope field "${field.name}": ${value}. Must be an integer between 0-${field.max}`);
+      }
+
+      scope |= value << field.shift;
+    }
+
+    // Scope 0 is stored as MAX_SCOPE, which would decode as every field at its maximum
+    if (scope === 0) {
+      throw new pULIDScopeError('Invalid scope field values: composed scope is 0 (reserved value)');
+    }
+
+    return scope;
+  }
+
+  /**
+   * Decompose a scope value into its field values
+   * @param {number} scope - Scope value (0-65535)
+   * @returns {Object<string, number>} Field values by name
+   * @throws {pULIDScopeError} If the scope is not a 16-bit integer
+   */
+  decompose(scope) {
+    this.validateScopeValue(scope);
+
+    const values = {};
+    for (const field of this.fields) {
+      values[field.name] = (scope >> field.shift) & field.max;
+    }
+    return values;
+  }
+
+  /**
+   * Extract a single field value from a scope value
+   * @param {number} scope - Scope value (0-65535)
+   * @param {string} name - Field name
+   * @returns {number} Field value
+   * @throws {pULIDScopeError} If the field is unknown or the scope is invalid
+   */
+  getField(scope, name) {
+    const field = this.getFieldInfo(name);
+    this.validateScopeValue(scope);
+    return (scope >> field.shift) & field.max;
+  }
+
+  /**
+   * Get the definition of a field
+   * @param {string} name - Field name
+   * @returns {{name: string, bits: number, shift: number, max: number}} Field definition
+   * @throws {pULIDScopeError} If the field is unknown
+   */
+  getFieldInfo(name) {
+    const field = this.fields.find(candidate => candidate.name === name);
+    if (!field) {
+      throw new pULIDScopeError(`Unknown scope field: "${name}". Layout fields are ${this.fields.map(f => f.name).join(', ')}`);
+    }
+    return field;
+  }
+
+  /**
+   * Get the layout definition in constructor format
+   * @returns {Array<{name: string, bits: number}>} Field definitions
+   */
+  toJSON() {
+    return this.fields.map(({ name, bits }) => ({ name, bits }));
+  }
+
+  /**
+   * Validate that a scope value fits in 16 bits
+   * @param {number} scope - Scope value
+   * @throws {pULIDScopeError} If the scope is not a 16-bit integer
+   * @private
+   */
+  validateScopeValue(scope) {
+    if (typeof scope !== 'number' || !Number.isInteger(scope) || scope < 0 || scope > 0xffff) {
+      throw new pULIDScopeError(`Invalid scope: ${scope}. Must be an integer between 0-65535`);
+    }
+  }
+}
+
+module.exports = {
+  ScopeLayout
+};
@@ -0,0 +1,177 @@
+/**
+ * HTTP middleware for pULID route parameters
+ * The framework-agnostic parser does the work; the Express/Connect and Koa
+ * factories only read the parameter and write the response.
+ *
+ * Malformed values get a 400. Well-formed IDs outside the allowed scopes or
+ * creation times cannot name an existing resource, so they get a 404.
+ */
+
+const { pULIDValidator } = require('./validator');
+const { pULIDError, pULIDScopeError } = require('./errors');
+
+const BAD_REQUEST_CODES = ['invalid_type', 'form_not_accepted', 'invalid_format'];
+const STATUS_TEXT = { 400: 'Bad Request', 404: 'Not Found' };
+const NORMALIZE_FORMS = ['ulid', 'uuid'];
+
+/**
+ * Validate a parameter, treating an entity that is not registered yet as matching no scope
+ * Entities may be registered after the middleware is created, e.g. when a manifest loads late
+ * @param {pULIDValidator} validator - Validator with every constraint
+ * @param {pULIDValidator} formValidator - Validator with the form check only
+ * @param {*} value - Parameter value
+ * @returns {Object} Validator result
+ */
+function validateParam(validator, formValidator, value) {
+  try {
+    return validator.validate(value);
+  } catch (error) {
+    if (!(error instanceof pULIDScopeError)) {
+      throw error;
+    }
+
+    const result = formValidator.validate(value);
+    if (!result.valid) {
+      return result;
+    }
+
+    const scope = result.value.getScope();
+    return {
+      valid: false,
+      value: null,
+      errors: [{
+        code: 'scope_not_allowed',
+        message: `Scope ${scope} is not allowed, expected entity ${validator.entities.join(' or ')}`,
+        field: validator.field,
+        expected: [],
+        actual: scope
+      }]
+    };
+  }
+}
+
+/**
+ * Create a parser for one route parameter
+ * @param {Object} [options] - Parameter options; validator options (accept, scopes, entity, minTime, maxTime, scopeManager) are passed through
+ * @param {string} [options.param='id'] - Route parameter name
+ * @param {number} [options.mismatchStatus=404] - Status for well-formed IDs that fail a scope or time constraint
+ * @param {string} [options.normalize] - Rewrite the parameter to its canonical ulid or uuid string
+ * @returns {Function} (value) => {ok: true, value: pULID, normalized: string} or {ok: false, status: number, body: Object}
+ * @throws {pULIDError} If an option is invalid
+ */
+function createParamParser(options = {}) {
+  const param = options.param || 'id';
+  const mismatchStatus = options.mismatchStatus || 404;
+  const normalize = options.normalize || null;
+  const validator = new pULIDValidator({ ...options, field: param });
+  // Form checks only, for when the entity constraint cannot be resolved yet
+  const formValidator = new pULIDValidator({ accept: options.accept, field: param });
+
+  if (normalize && !NORMALIZE_FORMS.includes(normalize)) {
+    throw new pULIDError(`Invalid normalize option: ${normalize}. Must be one of ${NORMALIZE_FORMS.join(', ')}`);
+  }
+
+  return function parseParam(value) {
+    const result = validateParam(validator, formValidator, value);
+
+    if (result.valid) {
+      const id = result.value;
+      const normalized = normalize === 'uuid' ? id.toUUID() : normalize === 'ulid' ? id.toString() : value;
+      return { ok: true, value: id, normalized };
+    }
+
+    const status = result.errors.some(error => BAD_REQUEST_CODES.includes(error.code)) ? 400 : mismatchStatus;
+    return {
+      ok: false,
+      status,
+      body: {
+        status,
+        error: STATUS_TEXT[status] || 'Error',
+        message: result.errors[0].message,
+        errors: result.errors
+      }
+    };
+  };
+}
+
+/**
+ * Send a JSON failure response on an Express or plain Node response
+ * @param {Object} res - Response
+ * @param {{status: number, body: Object}} failure - Failure from the parser
+ */
+function sendFailure(res, failure) {
+  if (typeof res.status === 'function' && typeof res.json === 'function') {
+    res.status(failure.status).json(failure.body);
+    return;
+  }
+
+  res.statusCode = failure.status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.end(JSON.stringify(failure.body));
+}
+
+/**
+ * Create Express/Connect middleware that parses a route parameter
+ * On success the pULID is attached as req[property][param] and next() is called;
+ * on failure a JSON 400 or 404 is sent and next() is not called
+ * @param {Object} [options] - Parameter options (see createParamParser)
+ * @param {string} [options.property='pulids'] - Request property holding parsed IDs
+ * @returns {Function} (req, res, next) middleware
+ * @throws {pULIDError} If an option is invalid
+ */
+function createParamMiddleware(options = {}) {
+  const param = options.param || 'id';
+  const property = options.property || 'pulids';
+  const parseParam = createParamParser(options);
+
+  return function pulidParamMiddleware(req, res, next) {
+    const params = req.params || {};
+    const result = parseParam(params[param]);
+
+    if (!result.ok) {
+      sendFailure(res, result);
+      return;
+    }
+
+    params[param] = result.normalized;
+    req[property] = { ...req[property], [param]: result.value };
+    next();
+  };
+}
+
+/**
+ * Create Koa middleware that parses a route parameter
+ * On success the pULID is attached as ctx.state[property][param] and next() is awaited;
+ * on failure ctx.status and ctx.body are set to a JSON 400 or 404
+ * @param {Object} [options] - Parameter options (see createParamParser)
+ * @param {string} [options.property='pulids'] - ctx.state property holding parsed IDs
+ * @returns {Function} async (ctx, next) middleware
+ * @throws {pULIDError} If an option is invalid
+ */
+function createKoaParamMiddleware(options = {}) {
+  const param = options.param || 'id';
+  const property = options.property || 'pulids';
+  const parseParam = createParamParser(options);
+
+  return async function pulidParamMiddleware(ctx, next) {
+    const params = ctx.params || {};
+    const result = parseParam(params[param]);
+
+    if (!result.ok) {
+      ctx.status = result.status;
+      ctx.body = result.body;
+      return;
+    }
+
+    params[param] = result.normalized;
+    ctx.state = ctx.state || {};
+    ctx.state[property] = { ...ctx.state[property], [param]: result.value };
+    await next();
+  };
+}
+
+module.exports = {
+  createParamParser,
+  createParamMiddleware,
+  createKoaParamMiddleware
+};
@@ -0,0 +1,143 @@
+/**
+ * Packed columnar batches of pULIDs
+ * N pULIDs are stored back to back in one contiguous Uint8Array of N×16 bytes,
+ * the same layout as an Apache Arrow FixedSizeBinary(16) column's data buffer
+ */
+
+const { pULID } = require('./pulid');
+const { getFormat } = require('./formats');
+const { pULIDError, pULIDParseError } = require('./errors');
+
+/**
+ * Check that a packed buffer holds whole pULIDs
+ * @param {Uint8Array} packed - Packed buffer
+ * @returns {number} Number of pULIDs in the buffer
+ * @throws {pULIDParseError} If the buffer is not a Uint8Array of a multiple of 16 bytes
+ */
+function packedLength(packed) {
+  if (!(packed instanceof Uint8Array)) {
+    throw new pULIDParseError('Invalid packed buffer: expected a Uint8Array');
+  }
+
+  if (packed.length % 16 !== 0) {
+    throw new pULIDParseError(`Invalid packed buffer length: ${packed.length}. Must be a multiple of 16`);
+  }
+
+  return packed.length / 16;
+}
+
+/**
+ * Pack pULID instances into one contiguous buffer
+ * @param {pULID[]} pulids - pULID instances
+ * @returns {Uint8Array} Buffer of pulids.length × 16 bytes
+ * @throws {pULIDError} If an entry is not a pULID
+ */
+function packPulids(pulids) {
+  const packed = new Uint8Array(pulids.length * 16);
+  for (let i = 0; i < pulids.length; i++) {
+    if (!(pulids[i] instanceof pULID)) {
+      throw new pULIDError(`Invalid pULID at index ${i}`);
+    }
+    pulids[i].writeTo(packed, i * 16);
+  }
+  return packed;
+}
+
+/**
+ * Unpack a packed buffer into pULID instances
+ * @param {Uint8Array} packed - Packed buffer
+ * @returns {pULID[]} pULID instances
+ * @throws {pULIDParseError} If the buffer length is invalid or an entry is not a valid pULID
+ */
+function unpackPulids(packed) {
+  const count = packedLength(packed);
+  const results = new Array(count);
+  for (let i = 0; i < count; i++) {
+    results[i] = pULID.readFrom(packed, i * 16);
+  }
+  return results;
+}
+
+/**
+ * Encode every pULID in a packed buffer as a string, without creating pULID instances
+ * @param {Uint8Array} packed - Packed buffer
+ * @param {string} [format='base32'] - Output format (see formats.js), e.g. base32 or uuid
+ * @returns {string[]} Encoded strings
+ * @throws {pULIDParseError} If the buffer length is invalid
+ * @throws {pULIDError} If the format is unknown
+ */
+function packedToStrings(packed, format = 'base32') {
+  const count = packedLength(packed);
+  const { encode } = getFormat(format);
+  const results = new Array(count);
+  for (let i = 0; i < count; i++) {
+    results[i] = encode(packed.subarray(i * 16, i * 16 + 16));
+  }
+  return results;
+}
+
+/**
+ * Parse strings into one packed buffer, collecting errors instead of stopping at the first one
+ * Entries that fail to parse are left as 16 zero bytes and listed in errors
+ * @param {string[]} strings - Encoded pULIDs
+ * @param {string} [format='base32'] - Input format (see formats.js), e.g. base32 or uuid
+ * @returns {{packed: Uint8Array, errors: Array<{index: number, input: *, message: string}>}} Packed buffer and per-index errors
+ * @throws {pULIDError} If the format is unknown
+ */
+function stringsToPacked(strings, format = 'base32') {
+  getFormat(format);
+
+  const packed = new Uint8Array(strings.length * 16);
+  const errors = [];
+  for (let i = 0; i < strings.length; i++) {
+    try {
+      pULID.fromFormat(format, strings[i]).writeTo(packed, i * 16);
+    } catch (error) {
+      errors.push({ index: i, input: strings[i], message: error.message });
+    }
+  }
+  return { packed, errors };
+}
+
+/**
+ * Describe a packed buffer as an Apache Arrow FixedSizeBinary(16) column
+ * The result can be passed to apache-arrow's makeData() together with
+ * type: new FixedSizeBinary(16); the data buffer is shared, not copied
+ * @param {Uint8Array} packed - Packed buffer
+ * @param {Array<{index: number}>} [errors=[]] - Entries to mark as null, e.g. the errors from stringsToPacked()
+ * @returns {{byteWidth: number, length: number, nullCount: number, nullBitmap: Uint8Array|null, data: Uint8Array}} Column description
+ * @throws {pULIDParseError} If the buffer length is invalid
+ */
+function toArrowFixedSizeBinary(packed, errors = []) {
+  const length = packedLength(packed);
+
+  // Arrow validity bitmaps are LSB-first with a set bit meaning "not null"
+  let nullBitmap = null;
+  let nullCount = 0;
+  if (errors.length > 0) {
+    nullBitmap = new Uint8Array(Math.ceil(length / 8)).fill(0xff);
+    for (const { index } of errors) {
+      const mask = 1 << (index % 8);
+      if (nullBitmap[index >> 3] & mask) {
+        nullBitmap[index >> 3] &= ~mask;
+        nullCount++;
+      }
+    }
+  }
+
+  return {
+    byteWidth: 16,
+    length,
+    nullCount,
+    nullBitmap,
+    data: packed
+  };
+}
+
+module.exports = {
+  packPulids,
+  unpackPulids,
+  packedToStrings,
+  stringsToPacked,
+  toArrowFixedSizeBinary
+};
@@ -3,25 +3,89 @@
  * Combines timestamp, scope, and entropy into a pULID identifier
  */
 
-const { encodeBase32, decodeBase32, bytesToScope, bytesToTimestamp, bytesToEntropy } = require('./encoding');
-const { pULIDError, pULIDParseError } = require('./errors');
+const { encodeBase32, decodeBase32, normalizeBase32, encodeBase32WithCheck, decodeBase32WithCheck, bytesToScope, bytesToTimestamp, bytesToEntropy } = require('./encoding');
+const { pULIDError, pULIDParseError, pULIDScopeError, pULIDTimestampError } = require('./errors');
 const { generateEntropy } = require('./entropy');
-const { validateScope, scopeToBytes } = require('./scope');
+const { validateScope, scopeToBytes, defaultScopeManager } = require('./scope');
 const { validateTimestamp, timestampToBytes } = require('./timestamp');
 const { formatAsUUID, uuidToBytes } = require('./uuid');
+const { getFormat } = require('./formats');
+const { byteViewAt } = require('./binary');
+const { bytesToBSONBinary, bsonBinaryToBytes, bytesToEJSON, ejsonToBytes } = require('./bson');
+
+const MAX_UINT64 = (1n << 64n) - 1n;
+const MAX_UINT128 = (1n << 128n) - 1n;
+
+/**
+ * Shapes toJSON() can produce
+ * - ulid: the 26-character ULID string
+ * - uuid: the hyphenated UUID string
+ * - object: { timestamp, scope, entropy, ulid, uuid, date }
+ */
+const JSON_MODES = ['ulid', 'uuid', 'object'];
+
+// Mode used by instances that were not given one
+let defaultJSONMode = 'object';
+
+/**
+ * Check a JSON mode
+ * @param {string} mode - Mode to check
+ * @throws {pULIDError} If the mode is not one of JSON_MODES
+ */
+function validateJSONMode(mode) {
+  if (!JSON_MODES.includes(mode)) {
+    throw new pULIDError(`Invalid JSON mode: ${mode}. Must be one of ${JSON_MODES.join(', ')}`);
+  }
+}
+
+/**
+ * Character sets pULID.parse() accepts
+ * - lenient: either case, with I and L read as 1 and O as 0 (the default)
+ * - strict: only the canonical uppercase alphabet, so each ID has exactly one string
+ */
+const PARSE_MODES = ['lenient', 'strict'];
+
+// Prefixes are lowercase letters and digits, so a separator must not contain either
+const DEFAULT_PREFIX_SEPARATOR = '_';
+const SEPARATOR_PATTERN = /^[^A-Za-z0-9]+$/;
+
+/**
+ * Resolve the options shared by toPrefixed() and parsePrefixed()
+ * @param {Object} options - Prefix options
+ * @returns {{separator: string, scopeManager: ScopeManager}} Resolved options
+ * @throws {pULIDError} If the separator is invalid
+ */
+function resolvePrefixOptions(options) {
+  const separator = options.separator !== undefined ? options.separator : DEFAULT_PREFIX_SEPARATOR;
+  if (typeof separator !== 'string' || !SEPARATOR_PATTERN.test(separator)) {
+    throw new pULIDError(`Invalid prefix separator: ${JSON.stringify(separator)}. Expected a non-empty string without letters or digits`);
+  }
+
+  return { separator, scopeManager: options.scopeManager || defaultScopeManager };
+}
 
 /**
  * pULID class representing a Pixie ULID identifier
  * Structure: 6 bytes timestamp + 2 bytes scope + 8 bytes entropy = 16 bytes total
+ *
+ * Instances are immutable: the 16 canonical bytes are built once, comparisons
+ * work on those bytes, and the string and UUID forms are cached on first use.
  */
 class pULID {
+  #bytes;
+  #string = null;
+  #uuid = null;
+  #jsonMode = null;
+
   /**
    * Create a new pULID instance
    * @param {number} timestamp - Unix timestamp in milliseconds
    * @param {number} scope - Scope value (1-65534)
    * @param {Uint8Array} entropy - 8 bytes of entropy
+   * @param {Object} [options] - Instance options
+   * @param {string} [options.json] - toJSON() mode for this instance: ulid, uuid or object (defaults to pULID.getJSONMode())
    */
-  constructor(timestamp, scope, entropy) {
+  constructor(timestamp, scope, entropy, options = {}) {
     // Validate inputs
     validateTimestamp(timestamp);
 
@@ -37,9 +101,29 @@ class pULID {
       throw new pULIDError(`Invalid entropy: expected 8 bytes, got ${entropy ? entropy.length : 0}`);
     }
 
+    // Combine all bytes: timestamp + scope + entropy (copied to prevent external modification)
+    const bytes = new Uint8Array(16);
+    bytes.set(timestampToBytes(timestamp), 0);  // bytes 0-5
+    bytes.set(scopeToBytes(actualScope), 6);    // bytes 6-7
+    bytes.set(entropy, 8);                      // bytes 8-15
+
+    if (options.json !== undefined) {
+      validateJSONMode(options.json);
+      this.#jsonMode = options.json;
+    }
+
+    this.#bytes = bytes;
     this.timestamp = timestamp;
     this.scope = actualScope; // Store the actual scope (65535 if input was 0)
-    this.entropy = new Uint8Array(entropy); // Create a copy to prevent external modification
+    Object.freeze(this);
+  }
+
+  /**
+   * Entropy bytes
+   * @returns {Uint8Array} Copy of the 8-byte entropy array
+   */
+  get entropy() {
+    return this.#bytes.slice(8);
   }
 
   /**
@@ -47,8 +131,19 @@ class pULID {
    * @returns {string} 26-character Base32 encoded string
    */
   toString() {
-    const bytes = this.toBytes();
-    return encodeBase32(bytes);
+    if (this.#string === null) {
+      this.#string = encodeBase32(this.#bytes);
+    }
+    return this.#string;
+  }
+
+  /**
+   * Convert pULID to its ULID string followed by a Crockford check symbol
+   * For IDs that are read aloud or typed by hand; parse them with pULID.parseWithCheck()
+   * @returns {string} 27-character string
+   */
+  toStringWithCheck() {
+    return encodeBase32WithCheck(this.#bytes);
   }
 
   /**
@@ -56,8 +151,10 @@ class pULID {
    * @returns {string} UUID string in format XXXXXXXX-XXXX-XXXX-XXXX-XXXXXXXXXXXX
    */
   toUUID() {
-    const bytes = this.toBytes();
-    return formatAsUUID(bytes);
+    if (this.#uuid === null) {
+      this.#uuid = formatAsUUID(this.#bytes);
+    }
+    return this.#uuid;
   }
 
   /**
@@ -68,21 +165,57 @@ class pULID {
     return this.toString();
   }
 
+  /**
+   * Convert pULID to a prefixed string ID such as usr_01JJN1AD5B08VJ5SRBJAWCBWDQ
+   * @param {Object} [options] - Prefix options
+   * @param {string} [options.separator='_'] - Separator between prefix and ULID
+   * @param {ScopeManager} [options.scopeManager] - Registry holding the prefixes (defaults to the shared one)
+   * @returns {string} Prefix, separator and ULID
+   * @throws {pULIDScopeError} If no prefix is registered for this pULID's scope
+   * @throws {pULIDError} If the separator is invalid
+   */
+  toPrefixed(options = {}) {
+    const { separator, scopeManager } = resolvePrefixOptions(options);
+    const prefix = scopeManager.getPrefixForScope(this.scope);
+
+    if (prefix === null) {
+      throw new pULIDScopeError(`No prefix registered for scope ${this.scope}`);
+    }
+
+    return `${prefix}${separator}${this.toString()}`;
+  }
+
+  /**
+   * Write the 16 pULID bytes into a binary buffer without allocating
+   * @param {Buffer|Uint8Array|ArrayBuffer|DataView} buffer - Buffer to write into
+   * @param {number} [offset=0] - Byte offset to write at
+   * @returns {number} Offset just past the written bytes (offset + 16)
+   * @throws {pULIDError} If the buffer is not binary or 16 bytes do not fit at the offset
+   */
+  writeTo(buffer, offset = 0) {
+    byteViewAt(buffer, offset, pULIDError).set(this.#bytes, offset);
+    return offset + 16;
+  }
+
+  /**
+   * Convert pULID to a named textual format
+   * @param {string} name - Format name: base32, uuid, hex, base58, base62 or base64url
+   * @returns {string} Encoded string
+   * @throws {pULIDError} If the format is unknown
+   */
+  toFormat(name) {
+    const format = getFormat(name);
+    if (name === 'base32') return this.toString();
+    if (name === 'uuid') return this.toUUID();
+    return format.encode(this.#bytes);
+  }
+
   /**
    * Convert pULID to 16-byte array
-   * @returns {Uint8Array} 16-byte array (6+2+8 structure)
+   * @returns {Uint8Array} Copy of the 16-byte array (6+2+8 structure)
    */
   toBytes() {
-    const timestampBytes = timestampToBytes(this.timestamp);
-    const scopeBytes = scopeToBytes(this.scope);
-    
-    // Combine all bytes: timestamp + scope + entropy
-    const bytes = new Uint8Array(16);
-    bytes.set(timestampBytes, 0);  // bytes 0-5
-    bytes.set(scopeBytes, 6);      // bytes 6-7
-    bytes.set(this.entropy, 8);    // bytes 8-15
-    
-    return bytes;
+    return this.#bytes.slice();
   }
 
   /**
@@ -109,12 +242,42 @@ class pULID {
     return this.scope;
   }
 
+  /**
+   * Get the entity name registered for this pULID's scope
+   * @param {ScopeManager} [scopeManager] - Scope manager holding the registry (defaults to the shared one)
+   * @returns {string|null} Entity name, or null if the scope is not registered
+   */
+  getScopeName(scopeManager = defaultScopeManager) {
+    return scopeManager.getEntityForScope(this.scope);
+  }
+
+  /**
+   * Get a single field of this pULID's scope
+   * @param {string} name - Field name defined by the layout
+   * @param {ScopeLayout} [layout] - Layout to use (defaults to the shared scope manager's layout)
+   * @returns {number} Field value
+   * @throws {pULIDScopeError} If no layout is available or the field is unknown
+   */
+  getScopeField(name, layout) {
+    return pULID.resolveLayout(layout).getField(this.scope, name);
+  }
+
+  /**
+   * Get all fields of this pULID's scope
+   * @param {ScopeLayout} [layout] - Layout to use (defaults to the shared scope manager's layout)
+   * @returns {Object<string, number>} Field values by name
+   * @throws {pULIDScopeError} If no layout is available
+   */
+  getScopeFields(layout) {
+    return pULID.resolveLayout(layout).decompose(this.scope);
+  }
+
   /**
    * Get entropy bytes
    * @returns {Uint8Array} Copy of the 8-byte entropy array
    */
   getEntropy() {
-    return new Uint8Array(this.entropy);
+    return this.#bytes.slice(8);
   }
 
   /**
@@ -127,12 +290,14 @@ class pULID {
       throw new pULIDError('Cannot compare with non-pULID object');
     }
 
-    // Compare lexicographically by string representation
-    const thisStr = this.toString();
-    const otherStr = other.toString();
-    
-    if (thisStr < otherStr) return -1;
-    if (thisStr > otherStr) return 1;
+    // Byte order matches the lexicographic order of the Base32 strings
+    const a = this.#bytes;
+    const b = other.#bytes;
+    for (let i = 0; i < 16; i++) {
+      if (a[i] !== b[i]) {
+        return a[i] < b[i] ? -1 : 1;
+      }
+    }
     return 0;
   }
 
@@ -145,11 +310,63 @@ class pULID {
     return this.compare(other) === 0;
   }
 
+  /**
+   * Convert pULID to a MongoDB BSON Binary with subtype 4 (UUID)
+   * @param {Function} [Binary] - BSON Binary class, e.g. require('bson').Binary; without it a plain { buffer, sub_type } object is returned
+   * @returns {Object} BSON Binary holding the 16 pULID bytes
+   * @throws {pULIDError} If Binary is not a constructor
+   */
+  toBSONBinary(Binary) {
+    try {
+      return bytesToBSONBinary(this.toBytes(), Binary);
+    } catch (error) {
+      throw new pULIDError(`Failed to create BSON Binary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert pULID to canonical Extended JSON v2, for fixtures and export scripts
+   * @returns {{$binary: {base64: string, subType: string}}} EJSON object with subType "04"
+   */
+  toEJSON() {
+    return bytesToEJSON(this.#bytes);
+  }
+
+  /**
+   * Convert pULID to its unsigned 128-bit integer value
+   * BigInt order matches compare() order
+   * @returns {bigint} Value in the range 0 to 2^128 - 1
+   */
+  toBigInt() {
+    let value = 0n;
+    for (const byte of this.#bytes) {
+      value = (value << 8n) | BigInt(byte);
+    }
+    return value;
+  }
+
+  /**
+   * Split pULID into two unsigned 64-bit halves (e.g. two protobuf fixed64 fields)
+   * @returns {{hi: bigint, lo: bigint}} High half (timestamp and scope) and low half (entropy)
+   */
+  toHiLo() {
+    const value = this.toBigInt();
+    return {
+      hi: value >> 64n,
+      lo: value & MAX_UINT64
+    };
+  }
+
   /**
    * Get JSON representation
-   * @returns {Object} Object with timestamp, scope, entropy, ulid, and uuid
+   * The shape depends on the instance's JSON mode, falling back to pULID.getJSONMode()
+   * @returns {string|Object} ULID string, UUID string, or object with timestamp, scope, entropy, ulid, uuid and date
    */
   toJSON() {
+    const mode = this.#jsonMode || defaultJSONMode;
+    if (mode === 'ulid') return this.toString();
+    if (mode === 'uuid') return this.toUUID();
+
     return {
       timestamp: this.timestamp,
       scope: this.scope,
@@ -179,10 +396,18 @@ class pULID {
   /**
    * Parse pULID from ULID string representation
    * @param {string} string - 26-character ULID string
+   * @param {Object} [options] - Parse options
+   * @param {string} [options.mode='lenient'] - Accepted characters: lenient or strict (see PARSE_MODES)
    * @returns {pULID} Parsed pULID instance
    * @throws {pULIDParseError} If string is invalid
+   * @throws {pULIDError} If the mode is unknown
    */
-  static parse(string) {
+  static parse(string, options = {}) {
+    const mode = options.mode || 'lenient';
+    if (!PARSE_MODES.includes(mode)) {
+      throw new pULIDError(`Invalid parse mode: ${mode}. Must be one of ${PARSE_MODES.join(', ')}`);
+    }
+
     if (typeof string !== 'string') {
       throw new pULIDParseError(`Invalid input type: ${typeof string}. Expected string`);
     }
@@ -192,13 +417,90 @@ class pULID {
     }
 
     try {
-      const bytes = decodeBase32(string);
+      const bytes = decodeBase32(string, { strict: mode === 'strict' });
       return pULID.fromBytes(bytes);
     } catch (error) {
       throw new pULIDParseError(`Failed to parse ULID string: ${error.message}`);
     }
   }
 
+  /**
+   * Rewrite a human-entered ULID to its canonical form, reporting every change
+   * More tolerant than lenient parsing: whitespace and hyphens are removed as well
+   * @param {string} string - ULID as entered, e.g. "01jjn1ad5b-08vj5srb-jawcbwdq"
+   * @returns {{normalized: string, substitutions: Array<{index: number, from: string, to: string, reason: string}>}} Canonical
+   *   26-character string, and each change by input index with reason case, alias or separator (removed, to is "")
+   * @throws {pULIDParseError} If the string is not a ULID once normalized
+   */
+  static normalize(string) {
+    try {
+      return normalizeBase32(string);
+    } catch (error) {
+      throw new pULIDParseError(`Failed to normalize ULID string: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse pULID from a ULID string followed by a Crockford check symbol
+   * @param {string} string - 27-character string from toStringWithCheck()
+   * @returns {pULID} Parsed pULID instance
+   * @throws {pULIDParseError} If the string is invalid or the check symbol does not match
+   */
+  static parseWithCheck(string) {
+    try {
+      return pULID.fromBytes(decodeBase32WithCheck(string));
+    } catch (error) {
+      throw new pULIDParseError(`Failed to parse checked ULID string: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse pULID from a prefixed string ID such as usr_01JJN1AD5B08VJ5SRBJAWCBWDQ
+   * The prefix must be the one registered for the scope encoded in the ULID
+   * @param {string} string - Prefixed ID, or a bare ULID when options.required is false
+   * @param {Object} [options] - Prefix options
+   * @param {string} [options.separator='_'] - Separator between prefix and ULID
+   * @param {boolean} [options.required=true] - Reject bare ULIDs; set to false to accept either form
+   * @param {string} [options.mode='lenient'] - Accepted ULID characters (see parse)
+   * @param {ScopeManager} [options.scopeManager] - Registry holding the prefixes (defaults to the shared one)
+   * @returns {pULID} Parsed pULID instance
+   * @throws {pULIDParseError} If the string is invalid or its prefix does not match its scope
+   * @throws {pULIDError} If the separator is invalid
+   */
+  static parsePrefixed(string, options = {}) {
+    const { separator, scopeManager } = resolvePrefixOptions(options);
+
+    if (typeof string !== 'string') {
+      throw new pULIDParseError(`Invalid input type: ${typeof string}. Expected string`);
+    }
+
+    if (string.length === 26) {
+      if (options.required !== false) {
+        throw new pULIDParseError(`Missing prefix: expected a prefix and "${separator}" before the ULID`);
+      }
+      return pULID.parse(string, options);
+    }
+
+    const head = string.slice(0, -26);
+    if (string.length < 26 || !head.endsWith(separator) || head.length === separator.length) {
+      throw new pULIDParseError(`Invalid prefixed ID: expected a prefix, "${separator}" and a 26-character ULID`);
+    }
+
+    const prefix = head.slice(0, -separator.length);
+    if (scopeManager.getScopeForPrefix(prefix) === null) {
+      throw new pULIDParseError(`Unknown prefix: "${prefix}"`);
+    }
+
+    const id = pULID.parse(string.slice(-26), options);
+    const expected = scopeManager.getPrefixForScope(id.getScope());
+    if (expected !== prefix) {
+      const detail = expected === null ? 'which has no prefix' : `expected "${expected}"`;
+      throw new pULIDParseError(`Prefix "${prefix}" does not match scope ${id.getScope()}, ${detail}`);
+    }
+
+    return id;
+  }
+
   /**
    * Create pULID from 16-byte array
    * @param {Uint8Array} bytes - 16-byte array
@@ -221,6 +523,19 @@ class pULID {
     }
   }
 
+  /**
+   * Read a pULID from 16 bytes at an offset in a larger binary buffer
+   * The bytes are read through a view, so the buffer is not sliced or copied first
+   * @param {Buffer|Uint8Array|ArrayBuffer|DataView} buffer - Buffer to read from
+   * @param {number} [offset=0] - Byte offset of the pULID
+   * @returns {pULID} New pULID instance
+   * @throws {pULIDParseError} If the buffer is not binary, 16 bytes do not fit at the offset, or the bytes are invalid
+   */
+  static readFrom(buffer, offset = 0) {
+    const view = byteViewAt(buffer, offset, pULIDParseError);
+    return pULID.fromBytes(view.subarray(offset, offset + 16));
+  }
+
   /**
    * Parse pULID from UUID string
    * @param {string} uuid - UUID string
@@ -236,20 +551,206 @@ class pULID {
     }
   }
 
+  /**
+   * Parse pULID from a named textual format
+   * @param {string} name - Format name: base32, uuid, hex, base58, base62 or base64url
+   * @param {string} string - Encoded string
+   * @returns {pULID} Parsed pULID instance
+   * @throws {pULIDError} If the format is unknown
+   * @throws {pULIDParseError} If the string is invalid for the format
+   */
+  static fromFormat(name, string) {
+    const format = getFormat(name);
+
+    try {
+      return pULID.fromBytes(format.decode(string));
+    } catch (error) {
+      throw new pULIDParseError(`Failed to parse ${name} string: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create pULID from any shape toJSON() produces
+   * @param {string|Object} value - ULID string, UUID string, or object with ulid, uuid or timestamp/scope/entropy
+   * @returns {pULID} New pULID instance
+   * @throws {pULIDParseError} If the value is not a pULID in any JSON shape, or its ulid and uuid disagree
+   */
+  static fromJSON(value) {
+    if (typeof value === 'string') {
+      return value.length === 36 ? pULID.fromUUID(value) : pULID.parse(value);
+    }
+
+    if (!value || typeof value !== 'object') {
+      throw new pULIDParseError(`Invalid JSON value: expected a string or object, got ${value === null ? 'null' : typeof value}`);
+    }
+
+    if (typeof value.ulid === 'string') {
+      const id = pULID.parse(value.ulid);
+      if (typeof value.uuid === 'string' && !pULID.fromUUID(value.uuid).equals(id)) {
+        throw new pULIDParseError(`Invalid JSON value: ulid ${value.ulid} and uuid ${value.uuid} differ`);
+      }
+      return id;
+    }
+
+    if (typeof value.uuid === 'string') {
+      return pULID.fromUUID(value.uuid);
+    }
+
+    try {
+      return new pULID(value.timestamp, value.scope, Array.isArray(value.entropy) ? Uint8Array.from(value.entropy) : value.entropy);
+    } catch (error) {
+      throw new pULIDParseError(`Failed to parse JSON object: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a JSON.parse reviver that turns pULIDs at chosen key paths back into instances
+   * @param {string[]} paths - Dot-separated key paths such as "id" or "items.*.orderId"; "*" matches any key or array index
+   * @returns {Function} Reviver for JSON.parse
+   * @throws {pULIDError} If paths is not an array of strings
+   */
+  static reviver(paths) {
+    const { createReviver } = require('./json');
+    return createReviver(paths);
+  }
+
+  /**
+   * Parse JSON text and turn pULIDs at chosen key paths back into instances
+   * Unlike a reviver, this walks from the real top-level value, so nested "" keys are never mistaken for it
+   * @param {string} text - JSON text
+   * @param {string[]} paths - Dot-separated key paths, as for reviver()
+   * @returns {*} Parsed value
+   * @throws {pULIDError} If paths is not an array of strings
+   * @throws {SyntaxError} If the text is not valid JSON
+   */
+  static parseJSON(text, paths) {
+    const { parseJSON } = require('./json');
+    return parseJSON(text, paths);
+  }
+
+  /**
+   * Set the toJSON() mode for instances that were not given one
+   * @param {string} mode - ulid, uuid or object
+   * @throws {pULIDError} If the mode is invalid
+   */
+  static setJSONMode(mode) {
+    validateJSONMode(mode);
+    defaultJSONMode = mode;
+  }
+
+  /**
+   * Get the toJSON() mode for instances that were not given one
+   * @returns {string} ulid, uuid or object
+   */
+  static getJSONMode() {
+    return defaultJSONMode;
+  }
+
+  /**
+   * Create pULID from a MongoDB BSON Binary with subtype 4 (UUID)
+   * @param {Object} binary - bson Binary instance or { buffer, sub_type } object
+   * @returns {pULID} New pULID instance
+   * @throws {pULIDParseError} If the subtype is not 4 or the data is not 16 valid pULID bytes
+   */
+  static fromBSONBinary(binary) {
+    try {
+      return pULID.fromBytes(bsonBinaryToBytes(binary));
+    } catch (error) {
+      throw new pULIDParseError(`Failed to parse BSON Binary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create pULID from an Extended JSON UUID
+   * @param {Object|string} ejson - { $binary: { base64, subType: "04" } } or { $uuid }, as an object or JSON string
+   * @returns {pULID} New pULID instance
+   * @throws {pULIDParseError} If the value is not an EJSON UUID
+   */
+  static fromEJSON(ejson) {
+    try {
+      return pULID.fromBytes(ejsonToBytes(ejson));
+    } catch (error) {
+      throw new pULIDParseError(`Failed to parse EJSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create pULID from an unsigned 128-bit integer
+   * @param {bigint} value - Value in the range 0 to 2^128 - 1
+   * @returns {pULID} New pULID instance
+   * @throws {pULIDParseError} If the value is not a BigInt, is negative or is wider than 128 bits
+   */
+  static fromBigInt(value) {
+    if (typeof value !== 'bigint') {
+      throw new pULIDParseError(`Invalid input type: ${typeof value}. Expected bigint`);
+    }
+
+    if (value < 0n || value > MAX_UINT128) {
+      throw new pULIDParseError(`Invalid value: ${value}. Expected an unsigned 128-bit integer`);
+    }
+
+    const bytes = new Uint8Array(16);
+    let remaining = value;
+    for (let i = 15; i >= 0; i--) {
+      bytes[i] = Number(remaining & 0xffn);
+      remaining >>= 8n;
+    }
+
+    return pULID.fromBytes(bytes);
+  }
+
+  /**
+   * Create pULID from two unsigned 64-bit halves
+   * @param {bigint} hi - High 64 bits (timestamp and scope)
+   * @param {bigint} lo - Low 64 bits (entropy)
+   * @returns {pULID} New pULID instance
+   * @throws {pULIDParseError} If either half is not a BigInt, is negative or is wider than 64 bits
+   */
+  static fromHiLo(hi, lo) {
+    for (const [name, half] of [['hi', hi], ['lo', lo]]) {
+      if (typeof half !== 'bigint') {
+        throw new pULIDParseError(`Invalid ${name} type: ${typeof half}. Expected bigint`);
+      }
+
+      if (half < 0n || half > MAX_UINT64) {
+        throw new pULIDParseError(`Invalid ${name} value: ${half}. Expected an unsigned 64-bit integer`);
+      }
+    }
+
+    return pULID.fromBigInt((hi << 64n) | lo);
+  }
+
   /**
    * Validate pULID string format
    * @param {string} string - String to validate
+   * @param {Object} [options] - Parse options (see parse)
    * @returns {boolean} True if valid pULID string
+   * @throws {pULIDError} If the mode is unknown
    */
-  static isValid(string) {
+  static isValid(string, options = {}) {
     try {
-      pULID.parse(string);
+      pULID.parse(string, options);
       return true;
     } catch (error) {
+      if (!(error instanceof pULIDParseError)) {
+        throw error;
+      }
       return false;
     }
   }
 
+  /**
+   * Explain which bytes, characters and bits of a ULID or UUID hold each field
+   * @param {string} input - 26-character ULID or 36-character UUID
+   * @param {Object} [options] - Explain options (see explain.js)
+   * @returns {Object} Per-field breakdown with decoded values and warnings
+   * @throws {pULIDParseError} If the input is invalid
+   */
+  static explain(input, options = {}) {
+    const { explain } = require('./explain');
+    return explain(input, options);
+  }
+
   /**
    * Create pULID with specific entity scope
    * @param {string} entityType - Entity type name
@@ -280,6 +781,107 @@ class pULID {
     return results;
   }
 
+  /**
+   * Lowest possible pULID for a millisecond, optionally within one scope
+   * Without a scope the result has scope 1, the lowest valid scope
+   * @param {Object} options - Boundary options
+   * @param {number|Date|string} options.timestamp - Millisecond timestamp, Date or ISO string
+   * @param {number} [options.scope] - Fixed scope
+   * @returns {pULID} pULID with zeroed entropy
+   * @throws {pULIDTimestampError} If the timestamp is invalid
+   * @throws {pULIDScopeError} If the scope is invalid
+   */
+  static min(options = {}) {
+    const scope = options.scope !== undefined ? options.scope : 1;
+    return new pULID(pULID.resolveTimestamp(options.timestamp), scope, new Uint8Array(8));
+  }
+
+  /**
+   * Highest possible pULID for a millisecond, optionally within one scope
+   * Without a scope the result has scope 65535, the highest stored scope
+   * @param {Object} options - Boundary options
+   * @param {number|Date|string} options.timestamp - Millisecond timestamp, Date or ISO string
+   * @param {number} [options.scope] - Fixed scope
+   * @returns {pULID} pULID with all entropy bits set
+   * @throws {pULIDTimestampError} If the timestamp is invalid
+   * @throws {pULIDScopeError} If the scope is invalid
+   */
+  static max(options = {}) {
+    const scope = options.scope !== undefined ? options.scope : 0;
+    return new pULID(pULID.resolveTimestamp(options.timestamp), scope, new Uint8Array(8).fill(255));
+  }
+
+  /**
+   * Inclusive bounds covering every pULID created from one time to another
+   * With a scope, the bounds start and end inside that scope, but IDs of other
+   * scopes from the milliseconds in between still sort inside them; exact is
+   * true only when the bounds hold nothing but matching IDs
+   * @param {number|Date|string} from - First millisecond, inclusive
+   * @param {number|Date|string} to - Last millisecond, inclusive
+   * @param {Object} [options] - Range options
+   * @param {number} [options.scope] - Scope to start and end the range in
+   * @returns {{min: {ulid: string, uuid: string, bytes: Uint8Array}, max: {ulid: string, uuid: string, bytes: Uint8Array}, exact: boolean}} Bounds in each form
+   * @throws {pULIDTimestampError} If a timestamp is invalid or from is after to
+   * @throws {pULIDScopeError} If the scope is invalid
+   */
+  static range(from, to, options = {}) {
+    const start = pULID.resolveTimestamp(from);
+    const end = pULID.resolveTimestamp(to);
+
+    if (start > end) {
+      throw new pULIDTimestampError(`Invalid range: from (${start}) is after to (${end})`);
+    }
+
+    const min = pULID.min({ timestamp: start, scope: options.scope });
+    const max = pULID.max({ timestamp: end, scope: options.scope });
+    const bounds = id => ({ ulid: id.toString(), uuid: id.toUUID(), bytes: id.toBytes() });
+
+    return {
+      min: bounds(min),
+      max: bounds(max),
+      exact: options.scope === undefined || start === end
+    };
+  }
+
+  /**
+   * Convert a millisecond timestamp, Date or ISO string to milliseconds
+   * @param {number|Date|string} value - Timestamp to convert
+   * @returns {number} Unix timestamp in milliseconds
+   * @throws {pULIDTimestampError} If the value is missing or invalid
+   * @private
+   */
+  static resolveTimestamp(value) {
+    let timestamp;
+
+    if (typeof value === 'number') {
+      timestamp = value;
+    } else if (value instanceof Date) {
+      timestamp = value.getTime();
+    } else if (typeof value === 'string') {
+      timestamp = Date.parse(value);
+    } else {
+      throw new pULIDTimestampError(`Invalid timestamp type: ${typeof value}. Expected number, Date or ISO string`);
+    }
+
+    validateTimestamp(timestamp);
+    return timestamp;
+  }
+
+  /**
+   * Resolve the scope layout to use for field access
+   * @param {ScopeLayout} [layout] - Explicit layout
+   * @returns {ScopeLayout} Layout to use
+   * @throws {pULIDScopeError} If no layout is given and none is set on the shared scope manager
+   * @private
+   */
+  static resolveLayout(layout) {
+    const resolved = layout || defaultScopeManager.getLayout();
+    if (!resolved) {
+      throw new pULIDScopeError('No scope layout configured. Pass a ScopeLayout or call ScopeManager.setLayout() first');
+    }
+    return resolved;
+  }
+
   /**
    * Sort an array of pULIDs lexicographically
    * @param {pULID[]} pulids - Array of pULID instances
@@ -291,5 +893,6 @@ class pULID {
 }
 
 module.exports = {
-  pULID
+  pULID,
+  validateJSONMode
 };
\ No newline at end of file
@@ -4,15 +4,29 @@
  */
 
 const { pULIDScopeError } = require('./errors');
+const { ScopeLayout } = require('./layout');
+
+// String ID prefixes: a lowercase letter followed by lowercase letters or digits
+const PREFIX_PATTERN = /^[a-z][a-z0-9]*$/;
 
 /**
  * Scope manager class for pULID scope validation and handling
+ * Also keeps a registry mapping entity names to scope values
  */
 class ScopeManager {
   constructor() {
     this.PROTECTED_SCOPES = []; // No protected scopes
     this.MIN_SCOPE = 0;
     this.MAX_SCOPE = 65535; // Allow max scope 65535 as shown in golang examples
+
+    // Entity registry, kept in both directions for constant-time lookups
+    this.entityScopes = new Map(); // name -> scope
+    this.scopeEntities = new Map(); // scope -> name
+    this.entityDescriptions = new Map(); // name -> description
+    this.entityPrefixes = new Map(); // name -> string prefix
+    this.prefixEntities = new Map(); // string prefix -> name
+    this.layout = null;
+    this.frozen = false;
   }
 
   /**
@@ -102,16 +116,322 @@ class ScopeManager {
     return scope;
   }
 
+  /**
+   * Register an entity name for a scope value
+   * @param {string} name - Entity name (e.g. "user")
+   * @param {number} scope - Scope value within 1-65534; 0 and MAX_SCOPE are reserved, as in manifests
+   * @param {string} [description] - Human-readable description of the entity
+   * @param {string} [prefix] - String ID prefix (e.g. "usr"): a lowercase letter followed by lowercase letters or digits
+   * @returns {number} The registered scope value
+   * @throws {pULIDScopeError} If the registry is frozen, or the name, scope or prefix is invalid or already registered
+   */
+  register(name, scope, description, prefix) {
+    this.assertNotFrozen();
+
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new pULIDScopeError(`Invalid entity name: ${name}. Expected a non-empty string`);
+    }
+
+    this.validate(scope);
+    // Same rule as validateManifest(), so every registry can be exported and loaded again
+    if (scope === this.MIN_SCOPE || scope === this.MAX_SCOPE) {
+      throw new pULIDScopeError(`Scope ${scope} is reserved and cannot be registered to an entity`);
+    }
+
+    if (this.entityScopes.has(name)) {
+      throw new pULIDScopeError(`Entity "${name}" is already registered with scope ${this.entityScopes.get(name)}`);
+    }
+
+    if (this.scopeEntities.has(scope)) {
+      throw new pULIDScopeError(`Scope ${scope} is already registered to entity "${this.scopeEntities.get(scope)}"`);
+    }
+
+    if (prefix !== undefined) {
+      if (typeof prefix !== 'string' || !PREFIX_PATTERN.test(prefix)) {
+        throw new pULIDScopeError(`Invalid prefix: ${prefix}. Expected a lowercase letter followed by lowercase letters or digits`);
+      }
+
+      if (this.prefixEntities.has(prefix)) {
+        throw new pULIDScopeError(`Prefix "${prefix}" is already registered to entity "${this.prefixEntities.get(prefix)}"`);
+      }
+    }
+
+    this.entityScopes.set(name, scope);
+    this.scopeEntities.set(scope, name);
+    if (description !== undefined) {
+      this.entityDescriptions.set(name, description);
+    }
+    if (prefix !== undefined) {
+      this.entityPrefixes.set(name, prefix);
+      this.prefixEntities.set(prefix, name);
+    }
+    return scope;
+  }
+
+  /**
+   * Remove an entity from the registry
+   * @param {string} name - Entity name
+   * @returns {boolean} True if the entity was registered
+   * @throws {pULIDScopeError} If the registry is frozen
+   */
+  unregister(name) {
+    this.assertNotFrozen();
+
+    if (!this.entityScopes.has(name)) {
+      return false;
+    }
+
+    this.scopeEntities.delete(this.entityScopes.get(name));
+    this.entityScopes.delete(name);
+    this.entityDescriptions.delete(name);
+    this.prefixEntities.delete(this.entityPrefixes.get(name));
+    this.entityPrefixes.delete(name);
+    return true;
+  }
+
+  /**
+   * Get the scope value registered for an entity name
+   * @param {string} name - Entity name
+   * @returns {number} Registered scope value
+   * @throws {pULIDScopeError} If the entity is not registered
+   */
+  getScopeForEntity(name) {
+    if (!this.entityScopes.has(name)) {
+      throw new pULIDScopeError(`Unknown entity: "${name}". Register it with ScopeManager.register() first`);
+    }
+
+    return this.entityScopes.get(name);
+  }
+
+  /**
+   * Get the entity name registered for a scope value
+   * @param {number} scope - Scope value (0 is looked up as MAX_SCOPE)
+   * @returns {string|null} Entity name, or null if the scope is not registered
+   */
+  getEntityForScope(scope) {
+    const actualScope = scope === 0 ? this.MAX_SCOPE : scope;
+    return this.scopeEntities.has(actualScope) ? this.scopeEntities.get(actualScope) : null;
+  }
+
+  /**
+   * Check if an entity name is registered
+   * @param {string} name - Entity name
+   * @returns {boolean} True if registered
+   */
+  hasEntity(name) {
+    return this.entityScopes.has(name);
+  }
+
+  /**
+   * Get the string ID prefix registered for a scope value
+   * @param {number} scope - Scope value (0 is looked up as MAX_SCOPE)
+   * @returns {string|null} Prefix, or null if the scope has no registered prefix
+   */
+  getPrefixForScope(scope) {
+    const name = this.getEntityForScope(scope);
+    return name !== null && this.entityPrefixes.has(name) ? this.entityPrefixes.get(name) : null;
+  }
+
+  /**
+   * Get the scope value registered for a string ID prefix
+   * @param {string} prefix - Prefix
+   * @returns {number|null} Scope value, or null if the prefix is not registered
+   */
+  getScopeForPrefix(prefix) {
+    return this.prefixEntities.has(prefix) ? this.entityScopes.get(this.prefixEntities.get(prefix)) : null;
+  }
+
+  /**
+   * List all registered entities ordered by scope value
+   * @returns {Array<{name: string, scope: number, description?: string, prefix?: string}>} Registered entities
+   */
+  listEntities() {
+    return Array.from(this.entityScopes, ([name, scope]) => {
+      const entry = { name, scope };
+      if (this.entityDescriptions.has(name)) {
+        entry.description = this.entityDescriptions.get(name);
+      }
+      if (this.entityPrefixes.has(name)) {
+        entry.prefix = this.entityPrefixes.get(name);
+      }
+      return entry;
+    }).sort((a, b) => a.scope - b.scope);
+  }
+
+  /**
+   * Check a scope manifest without modifying the registry
+   * Manifest format: { "scopes": [{ "name": "user", "scope": 567, "description": "...", "prefix": "usr" }] }
+   * Scopes must be within 1-65534; 0 and MAX_SCOPE are reserved
+   * @param {Object|string} manifest - Manifest object or its JSON text
+   * @returns {string[]} Every problem found, empty if the manifest can be loaded
+   */
+  validateManifest(manifest) {
+    let parsed;
+    try {
+      parsed = typeof manifest === 'string' ? JSON.parse(manifest) : manifest;
+    } catch (error) {
+      return [`Invalid manifest JSON: ${error.message}`];
+    }
+
+    if (!parsed || !Array.isArray(parsed.scopes)) {
+      return ['Invalid manifest: expected an object with a "scopes" array'];
+    }
+
+    const problems = [];
+    const seenNames = new Map();
+    const seenScopes = new Map();
+    const seenPrefixes = new Map();
+
+    parsed.scopes.forEach((entry, index) => {
+      const label = `scopes[${index}]`;
+
+      if (!entry || typeof entry !== 'object') {
+        problems.push(`${label}: expected an object`);
+        return;
+      }
+
+      const { name, scope, description, prefix } = entry;
+
+      if (typeof name !== 'string' || name.length === 0) {
+        problems.push(`${label}: invalid name ${JSON.stringify(name)}. Expected a non-empty string`);
+      } else if (seenNames.has(name)) {
+        problems.push(`${label}: name "${name}" is already used by scopes[${seenNames.get(name)}]`);
+      } else if (this.entityScopes.has(name)) {
+        problems.push(`${label}: name "${name}" is already registered with scope ${this.entityScopes.get(name)}`);
+      } else {
+        seenNames.set(name, index);
+      }
+
+      if (typeof scope !== 'number' || !Number.isInteger(scope) || scope < this.MIN_SCOPE || scope > this.MAX_SCOPE) {
+        problems.push(`${label}: invalid scope ${JSON.stringify(scope)}. Must be an integer between ${this.MIN_SCOPE}-${this.MAX_SCOPE}`);
+      } else if (scope === this.MIN_SCOPE || scope === this.MAX_SCOPE) {
+        problems.push(`${label}: scope ${scope} is reserved`);
+      } else if (seenScopes.has(scope)) {
+        problems.push(`${label}: scope ${scope} is already used by scopes[${seenScopes.get(scope)}]`);
+      } else if (this.scopeEntities.has(scope)) {
+        problems.push(`${label}: scope ${scope} is already registered to entity "${this.scopeEntities.get(scope)}"`);
+      } else {
+        seenScopes.set(scope, index);
+      }
+
+      if (description !== undefined && typeof description !== 'string') {
+        problems.push(`${label}: invalid description. Expected a string`);
+      }
+
+      if (prefix !== undefined) {
+        if (typeof prefix !== 'string' || !PREFIX_PATTERN.test(prefix)) {
+          problems.push(`${label}: invalid prefix ${JSON.stringify(prefix)}. Expected a lowercase letter followed by lowercase letters or digits`);
+        } else if (seenPrefixes.has(prefix)) {
+          problems.push(`${label}: prefix "${prefix}" is already used by scopes[${seenPrefixes.get(prefix)}]`);
+        } else if (this.prefixEntities.has(prefix)) {
+          problems.push(`${label}: prefix "${prefix}" is already registered to entity "${this.prefixEntities.get(prefix)}"`);
+        } else {
+          seenPrefixes.set(prefix, index);
+        }
+      }
+    });
+
+    return problems;
+  }
+
+  /**
+   * Load entities from a scope manifest, then freeze the registry
+   * Nothing is registered unless the whole manifest is valid
+   * @param {Object|string} manifest - Manifest object or its JSON text
+   * @param {Object} [options] - Loading options
+   * @param {boolean} [options.freeze=true] - Freeze the registry after loading
+   * @returns {ScopeManager} This manager, for chaining
+   * @throws {pULIDScopeError} Listing every problem if the manifest is invalid, or if the registry is frozen
+   */
+  loadManifest(manifest, options = {}) {
+    this.assertNotFrozen();
+
+    const problems = this.validateManifest(manifest);
+    if (problems.length > 0) {
+      throw new pULIDScopeError(`Invalid scope manifest (${problems.length} problem${problems.length === 1 ? '' : 's'}):\n  ${problems.join('\n  ')}`);
+    }
+
+    const parsed = typeof manifest === 'string' ? JSON.parse(manifest) : manifest;
+    parsed.scopes.forEach(({ name, scope, description, prefix }) => {
+      this.register(name, scope, description, prefix);
+    });
+
+    if (options.freeze !== false) {
+      this.freeze();
+    }
+
+    return this;
+  }
+
+  /**
+   * Export the registry in manifest format, ordered by scope value
+   * @returns {{scopes: Array<{name: string, scope: number, description?: string, prefix?: string}>}} Manifest object
+   */
+  exportManifest() {
+    return { scopes: this.listEntities() };
+  }
+
+  /**
+   * Set the bit-field layout used to interpret scope values
+   * @param {ScopeLayout|Array<{name: string, bits: number}>|null} layout - Layout, field definitions, or null to clear
+   * @returns {ScopeLayout|null} The layout now in use
+   * @throws {pULIDScopeError} If the registry is frozen or the layout is invalid
+   */
+  setLayout(layout) {
+    this.assertNotFrozen();
+    this.layout = layout === null || layout instanceof ScopeLayout ? layout : new ScopeLayout(layout);
+    return this.layout;
+  }
+
+  /**
+   * Get the bit-field layout used to interpret scope values
+   * @returns {ScopeLayout|null} The layout, or null if none is set
+   */
+  getLayout() {
+    return this.layout;
+  }
+
+  /**
+   * Freeze the registry so that later register/unregister calls throw
+   * @returns {ScopeManager} This manager, for chaining
+   */
+  freeze() {
+    this.frozen = true;
+    return this;
+  }
+
+  /**
+   * Check if the registry is frozen
+   * @returns {boolean} True if frozen
+   */
+  isFrozen() {
+    return this.frozen;
+  }
+
+  /**
+   * Throw if the registry is frozen
+   * @throws {pULIDScopeError} If the registry is frozen
+   * @private
+   */
+  assertNotFrozen() {
+    if (this.frozen) {
+      throw new pULIDScopeError('Scope registry is frozen and cannot be modified');
+    }
+  }
+
   /**
    * Get all valid scope values (for testing purposes)
-   * @returns {Object} Object with min, max, and protected scopes
+   * @returns {Object} Object with min, max, protected scopes and registered entity count
    */
   getScopeInfo() {
     return {
       min: this.MIN_SCOPE,
       max: this.MAX_SCOPE,
       protected: [...this.PROTECTED_SCOPES],
-      available: this.MAX_SCOPE - this.MIN_SCOPE + 1
+      available: this.MAX_SCOPE - this.MIN_SCOPE + 1,
+      entities: this.entityScopes.size,
+      layout: this.layout ? this.layout.toJSON() : null,
+      frozen: this.frozen
     };
   }
 }
@@ -157,11 +477,55 @@ function bytesToScope(bytes) {
   return defaultScopeManager.bytesToScope(bytes);
 }
 
+/**
+ * Register an entity name using the default manager
+ * @param {string} name - Entity name
+ * @param {number} scope - Scope value within 1-65534
+ * @param {string} [description] - Human-readable description of the entity
+ * @param {string} [prefix] - String ID prefix (e.g. "usr")
+ * @returns {number} The registered scope value
+ */
+function registerEntity(name, scope, description, prefix) {
+  return defaultScopeManager.register(name, scope, description, prefix);
+}
+
+/**
+ * Get the scope for an entity name using the default manager
+ * @param {string} name - Entity name
+ * @returns {number} Registered scope value
+ */
+function getScopeForEntity(name) {
+  return defaultScopeManager.getScopeForEntity(name);
+}
+
+/**
+ * Get the entity name for a scope using the default manager
+ * @param {number} scope - Scope value
+ * @returns {string|null} Entity name, or null if not registered
+ */
+function getEntityForScope(scope) {
+  return defaultScopeManager.getEntityForScope(scope);
+}
+
+/**
+ * Load a scope manifest into the default manager
+ * @param {Object|string} manifest - Manifest object or its JSON text
+ * @param {Object} [options] - Loading options
+ * @returns {ScopeManager} The default manager
+ */
+function loadScopeManifest(manifest, options = {}) {
+  return defaultScopeManager.loadManifest(manifest, options);
+}
+
 module.exports = {
   ScopeManager,
   defaultScopeManager,
   validateScope,
   isValidScope,
   scopeToBytes,
-  bytesToScope
+  bytesToScope,
+  registerEntity,
+  getScopeForEntity,
+  getEntityForScope,
+  loadScopeManifest
 };
\ No newline at end of file
@@ -21,6 +21,14 @@ class TimestampGenerator {
    * @returns {number} Current Unix timestamp in milliseconds
    */
   generate() {
+    return this.now();
+  }
+
+  /**
+   * Read the clock without side effects
+   * @returns {number} Current Unix timestamp in milliseconds
+   */
+  now() {
     return Date.now();
   }
 
@@ -135,8 +143,8 @@ class TimestampGenerator {
       min: this.MIN_TIMESTAMP,
       max: this.MAX_TIMESTAMP,
       maxDate: new Date(this.MAX_TIMESTAMP),
-      current: this.generate(),
-      currentDate: new Date(this.generate())
+      current: this.now(),
+      currentDate: new Date(this.now())
     };
   }
 
@@ -166,7 +174,7 @@ class TimestampGenerator {
    */
   isFuture(timestamp) {
     this.validate(timestamp);
-    return timestamp > this.generate();
+    return timestamp > this.now();
   }
 
   /**
@@ -176,7 +184,79 @@ class TimestampGenerator {
    */
   isPast(timestamp) {
     this.validate(timestamp);
-    return timestamp < this.generate();
+    return timestamp < this.now();
+  }
+}
+
+/**
+ * Controllable clock for tests
+ * Pass it to pULIDGenerator as timestampGenerator so that ordering, bucketing
+ * and expiry checks do not depend on wall time
+ */
+class FakeTimestampGenerator extends TimestampGenerator {
+  /**
+   * Create a fake clock
+   * @param {Object} [options] - Clock options
+   * @param {number} [options.start=0] - Initial time in milliseconds
+   * @param {number} [options.tick=0] - Milliseconds to advance after each generate() call
+   * @throws {pULIDTimestampError} If start is out of range or tick is not an integer
+   */
+  constructor(options = {}) {
+    super();
+
+    const tick = options.tick === undefined ? 0 : options.tick;
+    if (typeof tick !== 'number' || !Number.isInteger(tick)) {
+      throw new pULIDTimestampError(`Invalid tick: ${tick}. Tick must be an integer`);
+    }
+
+    this.tick = tick;
+    this.set(options.start === undefined ? 0 : options.start);
+  }
+
+  /**
+   * Return the fake time, then advance it by the configured tick
+   * @returns {number} Fake Unix timestamp in milliseconds
+   * @throws {pULIDTimestampError} If the fake time is out of range
+   */
+  generate() {
+    const timestamp = this.current;
+    this.validate(timestamp);
+    this.current += this.tick;
+    return timestamp;
+  }
+
+  /**
+   * Read the fake time without advancing it
+   * @returns {number} Fake Unix timestamp in milliseconds
+   */
+  now() {
+    return this.current;
+  }
+
+  /**
+   * Set the fake time
+   * @param {number|Date} timestamp - New time in milliseconds or as a Date
+   * @returns {number} The new fake time
+   * @throws {pULIDTimestampError} If the time is out of range
+   */
+  set(timestamp) {
+    const ms = timestamp instanceof Date ? this.dateToTimestamp(timestamp) : timestamp;
+    this.validate(ms);
+    this.current = ms;
+    return ms;
+  }
+
+  /**
+   * Move the fake time forwards (or backwards, with a negative value)
+   * @param {number} ms - Milliseconds to add
+   * @returns {number} The new fake time
+   * @throws {pULIDTimestampError} If the result is out of range
+   */
+  advance(ms) {
+    if (typeof ms !== 'number' || !Number.isInteger(ms)) {
+      throw new pULIDTimestampError(`Invalid advance: ${ms}. Must be an integer number of milliseconds`);
+    }
+    return this.set(this.current + ms);
   }
 }
 
@@ -231,6 +311,7 @@ function bytesToTimestamp(bytes) {
 
 module.exports = {
   TimestampGenerator,
+  FakeTimestampGenerator,
   defaultTimestampGenerator,
   generateTimestamp,
   validateTimestamp,
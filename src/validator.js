@@ -0,0 +1,240 @@
+/**
+ * Validators for pULIDs in request input
+ * A validator checks the accepted input forms, allowed scopes and creation time,
+ * returns structured reasons for every failure, and describes itself as JSON Schema
+ */
+
+const { pULID } = require('./pulid');
+const { ENCODING } = require('./encoding');
+const { defaultScopeManager } = require('./scope');
+const { pULIDError } = require('./errors');
+
+const ACCEPT_FORMS = ['ulid', 'uuid', 'both'];
+
+// Canonical Crockford characters in either case (the I, L, O, U aliases are not accepted)
+const ULID_CHAR = '[0-9A-HJKMNP-TV-Za-hjkmnp-tv-z]';
+const ULID_BODY = `[0-7]${ULID_CHAR}{25}`;
+const HEX = '[0-9a-fA-F]';
+const UUID_BODY = `${HEX}{8}-${HEX}{4}-${HEX}{4}-${HEX}{4}-${HEX}{12}`;
+
+const ULID_PATTERN = new RegExp(`^${ULID_BODY}$`);
+const UUID_PATTERN = new RegExp(`^${UUID_BODY}$`);
+
+/**
+ * Character class matching one Base32 character in either case
+ * @param {number[]} values - 5-bit values
+ * @returns {string} Regular expression character class
+ */
+function charClass(values) {
+  const chars = values.map(value => ENCODING[value]);
+  const lower = chars.map(char => char.toLowerCase()).filter(char => !chars.includes(char));
+  return `[${chars.join('')}${lower.join('')}]`;
+}
+
+/**
+ * ULID pattern matching only the given scopes
+ * Scope bits fill characters 10-12 and the top bit of character 13, which it shares with entropy
+ * @param {number[]} scopes - Stored scope values (1-65535)
+ * @returns {string} Pattern body without anchors
+ */
+function ulidScopePattern(scopes) {
+  const alternatives = scopes.map(scope => {
+    const high = scope >> 1;
+    const chars = [(high >> 10) & 31, (high >> 5) & 31, high & 31].map(value => charClass([value])).join('');
+    const shared = Array.from({ length: 16 }, (_, i) => ((scope & 1) << 4) | i);
+    return chars + charClass(shared);
+  });
+  return `[0-7]${ULID_CHAR}{9}(?:${alternatives.join('|')})${ULID_CHAR}{12}`;
+}
+
+/**
+ * UUID pattern matching only the given scopes (the third hex group is the scope)
+ * @param {number[]} scopes - Stored scope values (1-65535)
+ * @returns {string} Pattern body without anchors
+ */
+function uuidScopePattern(scopes) {
+  const groups = scopes.map(scope => scope.toString(16).padStart(4, '0')
+    .split('')
+    .map(digit => (/[a-f]/.test(digit) ? `[${digit}${digit.toUpperCase()}]` : digit))
+    .join(''));
+  return `${HEX}{8}-${HEX}{4}-(?:${groups.join('|')})-${HEX}{4}-${HEX}{12}`;
+}
+
+/**
+ * Validator for pULIDs in request input
+ */
+class pULIDValidator {
+  /**
+   * Create a validator
+   * @param {Object} [options] - Constraints
+   * @param {string} [options.accept='both'] - Accepted input forms: ulid, uuid or both
+   * @param {number[]} [options.scopes] - Allowed scopes
+   * @param {string|string[]} [options.entity] - Allowed entity names, resolved through the scope registry on each use
+   * @param {number|Date|string} [options.minTime] - Earliest allowed creation time, inclusive
+   * @param {number|Date|string} [options.maxTime] - Latest allowed creation time, inclusive
+   * @param {string} [options.field] - Field name copied into every failure reason
+   * @param {ScopeManager} [options.scopeManager] - Registry for entity names (defaults to the shared one)
+   * @throws {pULIDError} If an option is invalid
+   */
+  constructor(options = {}) {
+    this.accept = options.accept || 'both';
+    this.scopes = Array.isArray(options.scopes) ? options.scopes.map(scope => (scope === 0 ? 65535 : scope)) : null;
+    this.entities = options.entity === undefined ? null : [].concat(options.entity);
+    this.minTime = options.minTime === undefined ? null : pULID.resolveTimestamp(options.minTime);
+    this.maxTime = options.maxTime === undefined ? null : pULID.resolveTimestamp(options.maxTime);
+    this.field = options.field || null;
+    this.scopeManager = options.scopeManager || defaultScopeManager;
+
+    if (!ACCEPT_FORMS.includes(this.accept)) {
+      throw new pULIDError(`Invalid accept option: ${this.accept}. Must be one of ${ACCEPT_FORMS.join(', ')}`);
+    }
+
+    if (options.scopes !== undefined) {
+      if (!Array.isArray(options.scopes)) {
+        throw new pULIDError('Invalid scopes option: expected an array of scope values');
+      }
+      options.scopes.forEach(scope => this.scopeManager.validate(scope));
+    }
+
+    if (this.minTime !== null && this.maxTime !== null && this.minTime > this.maxTime) {
+      throw new pULIDError(`Invalid time constraints: minTime (${this.minTime}) is after maxTime (${this.maxTime})`);
+    }
+  }
+
+  /**
+   * Validate a value, collecting every failure
+   * @param {*} input - Value to validate (a string, or a pULID instance to check its constraints only)
+   * @returns {{valid: boolean, value: pULID|null, errors: Array<{code: string, message: string, field?: string, expected?: *, actual?: *}>}} Result
+   * @throws {pULIDScopeError} If an entity constraint names an unregistered entity
+   */
+  validate(input) {
+    const errors = [];
+    const fail = (code, message, details = {}) => {
+      errors.push({ code, message, ...(this.field ? { field: this.field } : {}), ...details });
+      return { valid: false, value: null, errors };
+    };
+
+    let id = input instanceof pULID ? input : null;
+
+    if (!id) {
+      if (typeof input !== 'string') {
+        return fail('invalid_type', `Expected a string, got ${input === null ? 'null' : typeof input}`, { expected: 'string', actual: input === null ? 'null' : typeof input });
+      }
+
+      const form = input.length === 36 ? 'uuid' : 'ulid';
+      if (this.accept !== 'both' && form !== this.accept) {
+        return fail('form_not_accepted', `Expected a ${this.accept.toUpperCase()}, got a ${form.toUpperCase()}`, { expected: this.accept, actual: form });
+      }
+
+      if (!(form === 'uuid' ? UUID_PATTERN : ULID_PATTERN).test(input)) {
+        return fail('invalid_format', `Not a valid ${this.acceptLabel()}`, { expected: this.accept });
+      }
+
+      try {
+        id = form === 'uuid' ? pULID.fromUUID(input) : pULID.parse(input);
+      } catch (error) {
+        return fail('invalid_format', `Not a valid ${this.acceptLabel()}: ${error.message}`, { expected: this.accept });
+      }
+    }
+
+    const allowed = this.allowedScopes();
+    if (allowed && !allowed.includes(id.getScope())) {
+      const label = this.entities ? `entity ${this.entities.join(' or ')}` : `scope ${allowed.join(' or ')}`;
+      fail('scope_not_allowed', `Scope ${id.getScope()} is not allowed, expected ${label}`, { expected: allowed, actual: id.getScope() });
+    }
+
+    const timestamp = id.getTimestamp();
+    if (this.minTime !== null && timestamp < this.minTime) {
+      fail('created_too_early', `Created at ${id.getTime().toISOString()}, before ${new Date(this.minTime).toISOString()}`, {
+        expected: new Date(this.minTime).toISOString(),
+        actual: id.getTime().toISOString()
+      });
+    }
+    if (this.maxTime !== null && timestamp > this.maxTime) {
+      fail('created_too_late', `Created at ${id.getTime().toISOString()}, after ${new Date(this.maxTime).toISOString()}`, {
+        expected: new Date(this.maxTime).toISOString(),
+        actual: id.getTime().toISOString()
+      });
+    }
+
+    return errors.length > 0
+      ? { valid: false, value: null, errors }
+      : { valid: true, value: id, errors };
+  }
+
+  /**
+   * Check a value without collecting reasons
+   * @param {*} input - Value to check
+   * @returns {boolean} True if valid
+   */
+  isValid(input) {
+    return this.validate(input).valid;
+  }
+
+  /**
+   * Describe the validator as a JSON Schema string definition
+   * The pattern enforces the accepted forms and scopes; time constraints cannot be
+   * expressed as a pattern and are listed under the x-pulid extension keyword
+   * @returns {Object} JSON Schema
+   * @throws {pULIDScopeError} If an entity constraint names an unregistered entity
+   */
+  toJSONSchema() {
+    const allowed = this.allowedScopes();
+    const bodies = [];
+    if (this.accept !== 'uuid') bodies.push(allowed ? ulidScopePattern(allowed) : ULID_BODY);
+    if (this.accept !== 'ulid') bodies.push(allowed ? uuidScopePattern(allowed) : UUID_BODY);
+
+    const constraints = { accept: this.accept };
+    if (this.entities) constraints.entity = this.entities;
+    if (allowed) constraints.scopes = allowed;
+    if (this.minTime !== null) constraints.minTime = new Date(this.minTime).toISOString();
+    if (this.maxTime !== null) constraints.maxTime = new Date(this.maxTime).toISOString();
+
+    return {
+      type: 'string',
+      format: 'pulid',
+      pattern: bodies.length === 1 ? `^${bodies[0]}$` : `^(?:${bodies.join('|')})$`,
+      description: `pULID as ${this.acceptLabel()}`,
+      'x-pulid': constraints
+    };
+  }
+
+  /**
+   * Scopes allowed by the scope and entity constraints
+   * @returns {number[]|null} Allowed stored scopes, or null if any scope is allowed
+   * @private
+   */
+  allowedScopes() {
+    let allowed = this.scopes;
+
+    if (this.entities) {
+      const entityScopes = this.entities.map(name => this.scopeManager.getScopeForEntity(name));
+      allowed = allowed ? allowed.filter(scope => entityScopes.includes(scope)) : entityScopes;
+    }
+
+    return allowed;
+  }
+
+  /**
+   * Human-readable name of the accepted forms
+   * @returns {string} Label
+   * @private
+   */
+  acceptLabel() {
+    return this.accept === 'both' ? 'ULID or UUID' : this.accept.toUpperCase();
+  }
+}
+
+/**
+ * Create a validator
+ * @param {Object} [options] - Constraints (see pULIDValidator)
+ * @returns {pULIDValidator} New validator
+ */
+function createValidator(options = {}) {
+  return new pULIDValidator(options);
+}
+
+module.exports = {
+  pULIDValidator,
+  createValidator
+};
@@ -0,0 +1,57 @@
+/**
+ * Shared helpers for the test scripts
+ * Each script records its checks here and calls finish() once at the end
+ */
+
+let passCount = 0;
+let failCount = 0;
+
+/**
+ * Record and print the outcome of one check
+ * @param {string} name - Check description
+ * @param {boolean} condition - Whether the check passed
+ */
+function check(name, condition) {
+  if (condition) {
+    console.log(`✅ ${name}`);
+    passCount++;
+  } else {
+    console.log(`❌ ${name}`);
+    failCount++;
+  }
+}
+
+/**
+ * Run a function and return what it throws
+ * @param {Function} fn - Function expected to throw
+ * @returns {*} The thrown error, or null if nothing was thrown
+ */
+function captureError(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Print the results and exit, with code 1 if any check failed
+ * @param {string} label - Suite name for the success line, e.g. "CLI tests"
+ */
+function finish(label) {
+  console.log(`\nResults: ${passCount} passed, ${failCount} failed`);
+
+  if (failCount > 0) {
+    process.exit(1);
+  }
+
+  console.log(`🎉 ${label} PASSED`);
+  process.exit(0);
+}
+
+module.exports = {
+  check,
+  captureError,
+  finish
+};
@@ -16,7 +16,31 @@ const testFiles = [
   'demo.test.js',
   'generate-valid-test-data.test.js',
   'test-golang-examples.test.js',
-  'test-golang-set.test.js'
+  'test-golang-set.test.js',
+  'test-monotonic.test.js',
+  'test-scope-registry.test.js',
+  'test-scope-manifest.test.js',
+  'test-scope-layout.test.js',
+  'test-cli.test.js',
+  'test-explain.test.js',
+  'test-entropy-sources.test.js',
+  'test-fake-clock.test.js',
+  'test-clock-regression.test.js',
+  'test-entropy-pool.test.js',
+  'test-pulid-bytes.test.js',
+  'test-pulid-bigint.test.js',
+  'test-formats.test.js',
+  'test-binary-offsets.test.js',
+  'test-packed.test.js',
+  'test-range.test.js',
+  'test-codecs.test.js',
+  'test-bson.test.js',
+  'test-json.test.js',
+  'test-validator.test.js',
+  'test-middleware.test.js',
+  'test-prefixed.test.js',
+  'test-check-symbol.test.js',
+  'test-parse-modes.test.js'
 ];
 
 console.log('🚀 pULID Test Suite Runner');
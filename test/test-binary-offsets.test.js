@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Test reading and writing pULIDs at offsets in binary buffers
+ */
+
+const {
+  pULID,
+  pULIDGenerator,
+  FakeTimestampGenerator,
+  SeededEntropySource,
+  pULIDError,
+  pULIDParseError,
+  pULIDScopeError
+} = require('../src');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing binary read/write at offsets');
+console.log('='.repeat(50));
+
+const id = pULID.parse('01JJN1AD5B08VJ5SRBJAWCBWDQ');
+const expected = Array.from(id.toBytes()).join();
+const bytesAt = (view, offset) => Array.from(view.subarray(offset, offset + 16)).join();
+
+// Test 1: writeTo / readFrom across buffer types
+console.log('\n1. Buffer types:');
+const buffer = Buffer.alloc(32, 0xaa);
+check('writeTo() returns the next offset', id.writeTo(buffer, 5) === 21);
+check('Buffer holds the bytes at the offset', bytesAt(buffer, 5) === expected && buffer[4] === 0xaa && buffer[21] === 0xaa);
+check('readFrom() reads a Buffer', pULID.readFrom(buffer, 5).equals(id));
+
+const frame = new Uint8Array(64).subarray(10, 40);
+id.writeTo(frame, 2);
+check('Uint8Array subarrays respect their byteOffset', bytesAt(new Uint8Array(frame.buffer), 12) === expected && pULID.readFrom(frame, 2).equals(id));
+
+const arrayBuffer = new ArrayBuffer(24);
+id.writeTo(arrayBuffer, 8);
+check('ArrayBuffer is written in place', bytesAt(new Uint8Array(arrayBuffer), 8) === expected && pULID.readFrom(arrayBuffer, 8).equals(id));
+
+const dataView = new DataView(new ArrayBuffer(48), 16, 20);
+id.writeTo(dataView, 4);
+check('DataView respects its byteOffset', bytesAt(new Uint8Array(dataView.buffer), 20) === expected && pULID.readFrom(dataView, 4).equals(id));
+check('Offset defaults to 0', pULID.readFrom(id.toBytes()).equals(id));
+
+const source = Buffer.concat([Buffer.from('key:'), Buffer.from(id.toBytes())]);
+const parsed = pULID.readFrom(source, 4);
+source.fill(0);
+check('Parsed pULID does not alias the source buffer', parsed.equals(id));
+
+// Test 2: Range and type errors
+console.log('\n2. Errors:');
+check('Reading past the end is a pULIDParseError', captureError(() => pULID.readFrom(Buffer.alloc(20), 5)) instanceof pULIDParseError);
+check('Negative offset is rejected', captureError(() => pULID.readFrom(Buffer.alloc(20), -1)) instanceof pULIDParseError);
+check('Fractional offset is rejected', captureError(() => pULID.readFrom(Buffer.alloc(20), 1.5)) instanceof pULIDParseError);
+check('Plain arrays are not binary buffers', captureError(() => pULID.readFrom(new Array(16).fill(1))) instanceof pULIDParseError);
+check('Writing past the end is a pULIDError', captureError(() => id.writeTo(new Uint8Array(16), 1)) instanceof pULIDError);
+const untouched = new Uint8Array(20);
+captureError(() => id.writeTo(untouched, 8));
+check('Failed write leaves the buffer untouched', untouched.every(byte => byte === 0));
+
+// Test 3: Generating into a buffer
+console.log('\n3. generateInto:');
+function seeded(options = {}) {
+  return new pULIDGenerator({
+    defaultScope: 567,
+    timestampGenerator: new FakeTimestampGenerator({ start: 1738020304043, tick: 1 }),
+    entropySource: new SeededEntropySource('binary'),
+    ...options
+  });
+}
+const target = new Uint8Array(16 * 5);
+const into = seeded();
+let offset = 0;
+for (let i = 0; i < 5; i++) {
+  offset = into.generateInto(target, offset);
+}
+const reference = seeded().generateBatch(5);
+check('Sequential writes fill the buffer', offset === 80);
+check('Written bytes match generate()', reference.every((value, i) => bytesAt(target, i * 16) === Array.from(value.toBytes()).join()));
+
+const calls = { count: 0 };
+const pooled = new pULIDGenerator({
+  entropyPoolSize: 64,
+  entropySource: { getRandomBytes: length => { calls.count++; return new Uint8Array(length).fill(7); } }
+});
+const pooledTarget = Buffer.alloc(16 * 8);
+for (let i = 0; i < 8; i++) {
+  pooled.generateInto(pooledTarget, i * 16);
+}
+check('Pooled entropy is copied straight into the buffer', calls.count === 1 && pULID.readFrom(pooledTarget, 112).getEntropy().every(byte => byte === 7));
+
+const generateOnly = new pULIDGenerator({ entropyGenerator: { generate: () => new Uint8Array(8).fill(9) } });
+const fallbackTarget = new Uint8Array(16);
+generateOnly.generateInto(fallbackTarget, 0);
+check('Entropy generators without generateInto fall back to generate()', pULID.readFrom(fallbackTarget).getEntropy().every(byte => byte === 9));
+
+const monotonic = seeded({ monotonic: true, timestampGenerator: new FakeTimestampGenerator({ start: 1738020304043 }) });
+const ordered = new Uint8Array(48);
+[0, 16, 32].forEach(at => monotonic.generateInto(ordered, at));
+check('Monotonic mode orders IDs written into a buffer',
+  pULID.readFrom(ordered, 0).compare(pULID.readFrom(ordered, 16)) === -1 && pULID.readFrom(ordered, 16).compare(pULID.readFrom(ordered, 32)) === -1);
+
+const custom = new DataView(new ArrayBuffer(16));
+into.generateInto(custom, 0, { timestamp: id.getTimestamp(), scope: id.getScope(), entropy: id.getEntropy() });
+check('Custom options are honoured', pULID.readFrom(custom).equals(id));
+check('Scope 0 is stored as 65535', (into.generateInto(custom, 0, { scope: 0 }), pULID.readFrom(custom).getScope() === 65535));
+
+const guarded = new Uint8Array(16);
+check('Invalid scope throws', captureError(() => into.generateInto(guarded, 0, { scope: 70000 })) instanceof pULIDScopeError);
+check('Nothing is written when generation fails', guarded.every(byte => byte === 0));
+check('Out-of-range offset throws', captureError(() => into.generateInto(guarded, 8)) instanceof pULIDError);
+
+finish('Binary offset tests');
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Test BSON Binary subtype 4 and Extended JSON conversions
+ */
+
+const { pULID, pULIDError, pULIDParseError } = require('../src');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing BSON conversions');
+console.log('='.repeat(50));
+
+// Stand-in for bson's Binary: over-allocates its buffer and tracks the used length in position
+class Binary {
+  constructor(buffer, subType) {
+    this._bsontype = 'Binary';
+    this.sub_type = subType;
+    this.buffer = new Uint8Array(256);
+    this.buffer.set(buffer);
+    this.position = buffer.length;
+  }
+}
+
+const id = pULID.parse('01JJN1AD5B08VJ5SRBJAWCBWDQ');
+const hex = id.toUUID().replace(/-/g, '');
+
+// Test 1: BSON Binary
+console.log('\n1. BSON Binary:');
+const plain = id.toBSONBinary();
+check('Plain object carries subtype 4 and the 16 bytes', plain.sub_type === 4 && Buffer.from(plain.buffer).toString('hex') === hex);
+check('Plain object round-trips', pULID.fromBSONBinary(plain).equals(id));
+const instance = id.toBSONBinary(Binary);
+check('Binary class is used when given', instance instanceof Binary && instance.sub_type === 4 && instance.position === 16);
+check('Over-allocated Binary round-trips via position', pULID.fromBSONBinary(instance).equals(id));
+check('Driver-style Buffer and subType fields are accepted', pULID.fromBSONBinary({ buffer: Buffer.from(hex, 'hex'), subType: 4 }).equals(id));
+check('Bytes match the UUID form', pULID.fromUUID(id.toUUID()).equals(pULID.fromBSONBinary(instance)));
+
+// Test 2: Extended JSON
+console.log('\n2. Extended JSON:');
+const ejson = id.toEJSON();
+check('Canonical EJSON v2 shape', JSON.stringify(ejson) === '{"$binary":{"base64":"AZSqFTSrAjci5wuSuMXxtw==","subType":"04"}}');
+check('base64 matches standard padded base64', ejson.$binary.base64 === Buffer.from(hex, 'hex').toString('base64'));
+check('EJSON object round-trips', pULID.fromEJSON(ejson).equals(id));
+check('EJSON string round-trips', pULID.fromEJSON(JSON.stringify(ejson)).equals(id));
+check('$uuid shorthand is accepted', pULID.fromEJSON({ $uuid: id.toUUID() }).equals(id));
+const fixture = JSON.parse(JSON.stringify({ _id: id.toEJSON(), parent: id.toEJSON() }));
+check('EJSON survives a JSON fixture file', pULID.fromEJSON(fixture._id).equals(id) && pULID.fromEJSON(fixture.parent).equals(id));
+
+// Test 3: Invalid input
+console.log('\n3. Invalid input:');
+check('Legacy subtype 3 is rejected', captureError(() => pULID.fromBSONBinary({ buffer: Buffer.from(hex, 'hex'), sub_type: 3 })) instanceof pULIDParseError);
+check('Wrong-length data is rejected', captureError(() => pULID.fromBSONBinary({ buffer: new Uint8Array(12), sub_type: 4 })) instanceof pULIDParseError);
+check('Non-objects are rejected', captureError(() => pULID.fromBSONBinary('AZSqFTSrAjci5wuSuMXxtw==')) instanceof pULIDParseError);
+check('EJSON with another subType is rejected', captureError(() => pULID.fromEJSON({ $binary: { base64: ejson.$binary.base64, subType: '00' } })) instanceof pULIDParseError);
+check('EJSON with base64url characters is rejected', captureError(() => pULID.fromEJSON({ $binary: { base64: 'AZSqFTSrAjci5wuSuMXx-w==', subType: '04' } })) instanceof pULIDParseError);
+check('EJSON with the wrong length is rejected', captureError(() => pULID.fromEJSON({ $binary: { base64: 'AZSqFTSrAjci5wuS', subType: '04' } })) instanceof pULIDParseError);
+check('Malformed JSON string is rejected', captureError(() => pULID.fromEJSON('{"$binary"')) instanceof pULIDParseError);
+check('Non-constructor Binary is rejected', captureError(() => id.toBSONBinary('Binary')) instanceof pULIDError);
+
+finish('BSON conversion tests');
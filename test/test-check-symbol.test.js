@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Test Crockford check symbols for human-transcribed IDs
+ */
+
+const { pULID, pULIDGenerator, SeededEntropySource, encodeBase32WithCheck, decodeBase32WithCheck, pULIDParseError } = require('../src');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing Crockford check symbols');
+console.log('='.repeat(50));
+
+const SYMBOLS = '0123456789ABCDEFGHJKMNPQRSTVWXYZ*~$=U';
+const ENCODING = SYMBOLS.slice(0, 32);
+const ulid = '01JJN1AD5B08VJ5SRBJAWCBWDQ';
+const id = pULID.parse(ulid);
+const checked = id.toStringWithCheck();
+
+// Test 1: Encoding
+console.log('\n1. Encoding:');
+check('Checked string is the ULID plus one symbol', checked.length === 27 && checked.startsWith(ulid));
+check('Symbol is the 128-bit value modulo 37', checked[26] === SYMBOLS[Number(id.toBigInt() % 37n)]);
+check('Low-level encoder matches', encodeBase32WithCheck(id.toBytes()) === checked);
+
+const generator = new pULIDGenerator({ entropySource: new SeededEntropySource('check-symbol') });
+const seen = new Set();
+let matchesModulo = true;
+for (let i = 0; i < 2000 && seen.size < 37; i++) {
+  const sample = generator.generate({ scope: (i % 1000) + 1 });
+  const symbol = sample.toStringWithCheck()[26];
+  seen.add(symbol);
+  matchesModulo = matchesModulo && symbol === SYMBOLS[Number(sample.toBigInt() % 37n)] && pULID.parseWithCheck(sample.toStringWithCheck()).equals(sample);
+}
+check('All 37 symbols occur, including * ~ $ = U', seen.size === 37);
+check('Every sample matches its modulus and round-trips', matchesModulo);
+
+// Test 2: Parsing
+console.log('\n2. Parsing:');
+check('Checked string round-trips', pULID.parseWithCheck(checked).equals(id));
+check('Lowercase input is accepted', pULID.parseWithCheck(checked.toLowerCase()).equals(id));
+check('Low-level decoder returns the bytes', decodeBase32WithCheck(checked).every((byte, i) => byte === id.toBytes()[i]));
+// Consecutive entropy values cover every remainder modulo 37
+const candidates = [...Array(37).keys()].map(i => new pULID(0, 1, new Uint8Array([0, 0, 0, 0, 0, 0, 0, i])));
+const withSymbol = symbol => candidates.find(sample => sample.toStringWithCheck()[26] === symbol);
+const u = withSymbol('U');
+check('Check symbol U is accepted in either case', pULID.parseWithCheck(u.toStringWithCheck()).equals(u) && pULID.parseWithCheck(u.toStringWithCheck().toLowerCase()).equals(u));
+const aliasTarget = withSymbol('1');
+check('Check symbol aliases I and L read as 1', pULID.parseWithCheck(aliasTarget.toString() + 'I').equals(aliasTarget) && pULID.parseWithCheck(aliasTarget.toString() + 'l').equals(aliasTarget));
+
+// Test 3: Detection
+console.log('\n3. Detection:');
+const mismatch = captureError(() => pULID.parseWithCheck(`01JJN1AD5B08VJ5SRBJAWCBWDR${checked[26]}`));
+check('Mismatch is a pULIDParseError naming the check', mismatch instanceof pULIDParseError && mismatch.message.includes('Check symbol mismatch'));
+check('Mismatch message gives the expected symbol', mismatch.message.includes(`has check symbol ${pULID.parse('01JJN1AD5B08VJ5SRBJAWCBWDR').toStringWithCheck()[26]}`));
+check('Missing check symbol fails the length check', captureError(() => pULID.parseWithCheck(ulid)).message.includes('Invalid checked ULID length'));
+check('Invalid check symbol is rejected', captureError(() => pULID.parseWithCheck(`${ulid}#`)).message.includes('Invalid check symbol'));
+check('Invalid ULID characters are rejected', captureError(() => pULID.parseWithCheck(`01JJN1AD5B08VJ5SRBJAWCBW!Q${checked[26]}`)).message.includes('Invalid character'));
+check('Non-strings are rejected', captureError(() => pULID.parseWithCheck(42)) instanceof pULIDParseError);
+
+let substitutionsCaught = 0;
+let substitutions = 0;
+for (let position = 0; position < 26; position++) {
+  for (const char of ENCODING) {
+    if (char === checked[position]) continue;
+    substitutions++;
+    const typo = checked.slice(0, position) + char + checked.slice(position + 1);
+    if (captureError(() => pULID.parseWithCheck(typo)) instanceof pULIDParseError) {
+      substitutionsCaught++;
+    }
+  }
+}
+check(`Every single-character substitution is caught (${substitutions})`, substitutionsCaught === substitutions);
+
+let transpositionsCaught = 0;
+let transpositions = 0;
+for (let position = 0; position < 25; position++) {
+  if (checked[position] === checked[position + 1]) continue;
+  transpositions++;
+  const typo = checked.slice(0, position) + checked[position + 1] + checked[position] + checked.slice(position + 2);
+  if (captureError(() => pULID.parseWithCheck(typo)) instanceof pULIDParseError) {
+    transpositionsCaught++;
+  }
+}
+check(`Every adjacent transposition is caught (${transpositions})`, transpositionsCaught === transpositions);
+
+finish('Check symbol tests');
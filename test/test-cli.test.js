@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Test the pulid command-line tool
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { pULID } = require('../src');
+const { check, finish } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'bin', 'pulid.js');
+
+console.log('🧪 Testing pulid CLI');
+console.log('='.repeat(50));
+
+function run(args, input) {
+  const result = spawnSync('node', [CLI, ...args], { input: input || '', encoding: 'utf8' });
+  return {
+    code: result.status,
+    lines: result.stdout.split('\n').filter(Boolean),
+    stderr: result.stderr
+  };
+}
+
+const ulid = '01JJN1AD5B08VJ5SRBJAWCBWDQ';
+const uuid = '0194aa15-34ab-0237-22e7-0b92b8c5f1b7';
+
+// Test 1: generate
+console.log('\n1. generate:');
+const generated = run(['generate', '--scope', '567', '--count', '5', '--at', '2025-01-27T23:25:04.043Z']);
+check('Exits with code 0', generated.code === 0);
+check('Prints the requested count', generated.lines.length === 5);
+check('Uses scope and timestamp', generated.lines.every(line => {
+  const id = pULID.parse(line);
+  return id.getScope() === 567 && id.getTimestamp() === 1738020304043;
+}));
+check('Output is sorted in generation order', generated.lines.join() === [...generated.lines].sort().join());
+const generatedUuid = run(['generate', '--uuid']);
+check('--uuid prints UUID format', generatedUuid.lines.length === 1 && generatedUuid.lines[0].length === 36);
+const generatedJson = JSON.parse(run(['generate', '--json', '--scope=42']).lines[0]);
+check('--json prints decoded fields', generatedJson.scope === 42 && typeof generatedJson.date === 'string');
+const scopeZero = run(['generate', '--scope', '0', '--count', '2']);
+check('--scope 0 is stored as 65535', scopeZero.code === 0 && scopeZero.lines.every(line => pULID.parse(line).getScope() === 65535));
+const epoch = run(['generate', '--at', '0']);
+check('--at 0 uses the epoch rather than the current time', epoch.code === 0 && pULID.parse(epoch.lines[0]).getTimestamp() === 0);
+
+// Test 2: parse
+console.log('\n2. parse:');
+const parsed = run(['parse', ulid]);
+check('Prints timestamp, date, scope and entropy', parsed.code === 0 &&
+  parsed.lines.includes('timestamp: 1738020304043') &&
+  parsed.lines.includes('date:      2025-01-27T23:25:04.043Z') &&
+  parsed.lines.includes('scope:     567') &&
+  parsed.lines.includes('entropy:   22e70b92b8c5f1b7'));
+const parsedJson = JSON.parse(run(['parse', '--json', uuid]).lines[0]);
+check('Accepts UUIDs and prints JSON', parsedJson.ulid === ulid && parsedJson.scope === 567);
+
+// Test 3: convert
+console.log('\n3. convert:');
+const converted = run(['convert', ulid, uuid]);
+check('Converts in both directions', converted.code === 0 && converted.lines[0] === uuid && converted.lines[1] === ulid);
+const fromStdin = run(['convert'], `${ulid}\n\n${uuid}\n`);
+check('Reads ids from stdin line by line', fromStdin.lines.length === 2 && fromStdin.lines[0] === uuid);
+
+// Test 4: invalid input
+console.log('\n4. Invalid input:');
+const invalid = run(['parse', ulid, 'NOT-A-PULID']);
+check('Invalid id exits with code 1', invalid.code === 1);
+check('Valid ids are still printed', invalid.lines.includes('scope:     567'));
+check('Error is written to stderr', invalid.stderr.includes('NOT-A-PULID'));
+const invalidJson = run(['convert', '--json'], 'bad\n');
+check('JSON mode reports the error per input', invalidJson.code === 1 && JSON.parse(invalidJson.lines[0]).error !== undefined);
+check('Unknown command exits with code 2', run(['explode']).code === 2);
+check('Invalid --count exits with code 2', run(['generate', '--count', '0']).code === 2);
+check('Invalid --scope exits with code 1', run(['generate', '--scope', '70000']).code === 1);
+
+finish('CLI tests');
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Test clock-regression detection and policies in pULIDGenerator
+ */
+
+const { pULIDGenerator, FakeTimestampGenerator, pULIDError, pULIDTimestampError } = require('../src');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing clock regression policies');
+console.log('='.repeat(50));
+
+const start = Date.parse('2025-01-27T23:25:04.043Z');
+
+function setup(options = {}) {
+  const clock = new FakeTimestampGenerator({ start, tick: options.tick || 0 });
+  const events = [];
+  const generator = new pULIDGenerator({
+    ...options,
+    timestampGenerator: clock,
+    onClockRegression: event => events.push(event)
+  });
+  return { clock, events, generator };
+}
+
+// Test 1: ignore (default)
+console.log('\n1. ignore policy:');
+{
+  const { clock, events, generator } = setup();
+  const first = generator.generate();
+  clock.advance(-50);
+  const second = generator.generate();
+  check('Default policy issues the earlier timestamp', second.getTimestamp() === start - 50 && second.compare(first) === -1);
+  check('Regression is reported', events.length === 1 && events[0].regression === 50 && events[0].previous === start && events[0].policy === 'ignore');
+  generator.generate();
+  check('Every regressed call is reported until the clock catches up', events.length === 2);
+}
+
+// Test 2: throw
+console.log('\n2. throw policy:');
+{
+  const { clock, events, generator } = setup({ clockRegression: 'throw' });
+  generator.generate();
+  clock.advance(-1);
+  const error = captureError(() => generator.generate());
+  check('Regression throws pULIDTimestampError', error instanceof pULIDTimestampError);
+  check('Callback runs before throwing', events.length === 1);
+  clock.advance(1);
+  check('Generation resumes once the clock catches up', generator.generate().getTimestamp() === start);
+}
+
+// Test 3: reuse
+console.log('\n3. reuse policy:');
+{
+  const { clock, events, generator } = setup({ clockRegression: 'reuse', monotonic: true });
+  const first = generator.generate();
+  clock.advance(-1000);
+  const second = generator.generate();
+  check('Last timestamp is reused', second.getTimestamp() === start);
+  check('IDs keep sorting after earlier ones', second.compare(first) === 1);
+  check('Regression is reported', events.length === 1 && events[0].policy === 'reuse');
+}
+
+// Test 4: wait
+console.log('\n4. wait policy:');
+{
+  const { clock, events, generator } = setup({ clockRegression: 'wait', tick: 1 });
+  generator.generate();
+  clock.advance(-5);
+  const waited = generator.generate();
+  check('Waits until the clock reaches the last timestamp', waited.getTimestamp() >= start);
+  check('Regression is reported', events.length === 1 && events[0].policy === 'wait');
+}
+{
+  const { clock, generator } = setup({ clockRegression: 'wait', maxClockWait: 100 });
+  generator.generate();
+  clock.advance(-500);
+  check('Regression beyond maxClockWait throws immediately', captureError(() => generator.generate()) instanceof pULIDTimestampError);
+}
+{
+  const { clock, generator } = setup({ clockRegression: 'wait', maxClockWait: 20 });
+  generator.generate();
+  clock.advance(-10);
+  check('Clock that never catches up gives up after maxClockWait', captureError(() => generator.generate()) instanceof pULIDTimestampError);
+}
+{
+  // Steps forward and back again, so fake time passes without ever reaching the last timestamp
+  const { clock, generator } = setup({ clockRegression: 'wait', maxClockWait: 1000 });
+  generator.generate();
+  clock.advance(-5);
+  let reads = 0;
+  clock.generate = function () {
+    reads++;
+    this.advance(reads % 2 === 1 ? 1 : -1);
+    return this.now();
+  };
+  const error = captureError(() => generator.generate());
+  check('Time waited is measured on the injected clock', error instanceof pULIDTimestampError && reads < 5000);
+}
+
+// Test 5: Custom timestamps and configuration
+console.log('\n5. Configuration:');
+{
+  const { events, generator } = setup({ clockRegression: 'throw' });
+  generator.generate();
+  check('Custom timestamps bypass detection', generator.generate({ timestamp: start - 100000 }).getTimestamp() === start - 100000 && events.length === 0);
+  check('Policy appears in getConfig()', generator.getConfig().clockRegression === 'throw');
+}
+check('Unknown policy is rejected', captureError(() => new pULIDGenerator({ clockRegression: 'panic' })) instanceof pULIDError);
+check('maxClockWait defaults to 10ms', new pULIDGenerator().getConfig().maxClockWait === 10);
+check('Negative maxClockWait is rejected', captureError(() => new pULIDGenerator({ maxClockWait: -1 })) instanceof pULIDError);
+
+finish('Clock regression tests');
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Test database column codecs with in-memory stand-ins for the drivers
+ */
+
+const { pULID, pULIDGenerator, SeededEntropySource, codecs, pULIDError, pULIDParseError } = require('../src');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing database codecs');
+console.log('='.repeat(50));
+
+const { postgresUuid, binary, text } = codecs;
+const id = pULID.parse('01JJN1AD5B08VJ5SRBJAWCBWDQ');
+
+const generator = new pULIDGenerator({ entropySource: new SeededEntropySource('codecs') });
+const ids = [];
+for (let i = 0; i < 200; i++) {
+  ids.push(generator.generate({ timestamp: 1738020304043 + (i % 10) * 1000, scope: 1 + (i % 4) * 9000 }));
+}
+const expectedOrder = pULID.sort(ids).map(String).join();
+
+// Stand-ins for each database's native comparison of the stored values
+const uuidCompare = (a, b) => Buffer.compare(Buffer.from(a.replace(/-/g, ''), 'hex'), Buffer.from(b.replace(/-/g, ''), 'hex'));
+const memcmp = (a, b) => Buffer.compare(a, b);
+const binaryCollation = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+function storeAndSort(codec, compare) {
+  return ids.map(value => codec.encode(value)).sort(compare).map(value => codec.decode(value).toString()).join();
+}
+
+// Test 1: Postgres uuid
+console.log('\n1. Postgres uuid:');
+check('Encodes to a hyphenated UUID', postgresUuid.encode(id) === '0194aa15-34ab-0237-22e7-0b92b8c5f1b7');
+check('Round-trips through fromUUID', postgresUuid.decode(postgresUuid.encode(id)).equals(id) && pULID.fromUUID(postgresUuid.encode(id)).equals(id));
+check('Accepts uppercase UUIDs from the driver', postgresUuid.decode('0194AA15-34AB-0237-22E7-0B92B8C5F1B7').equals(id));
+check('uuid comparison keeps time order', postgresUuid.ordered && storeAndSort(postgresUuid, uuidCompare) === expectedOrder);
+
+const parsers = new Map();
+const pgTypes = { setTypeParser: (oid, parser) => parsers.set(oid, parser) };
+check('Parser hook returns the registry', codecs.registerPostgresUuidParser(pgTypes) === pgTypes);
+check('Parser is registered for OID 2950', codecs.PG_UUID_OID === 2950 && parsers.size === 1 && parsers.has(2950));
+check('Registered parser yields pULIDs', parsers.get(2950)('0194aa15-34ab-0237-22e7-0b92b8c5f1b7').equals(id));
+check('Registry without setTypeParser is rejected', captureError(() => codecs.registerPostgresUuidParser({})) instanceof pULIDError);
+
+// Test 2: MySQL/SQLite BINARY(16)
+console.log('\n2. BINARY(16) / BLOB:');
+const blob = binary.encode(id);
+check('Encodes to a 16-byte Buffer', Buffer.isBuffer(blob) && blob.length === 16 && blob.toString('hex') === '0194aa1534ab023722e70b92b8c5f1b7');
+check('Round-trips through fromBytes', binary.decode(blob).equals(id) && pULID.fromBytes(blob).equals(id));
+check('Decodes Uint8Array and ArrayBuffer values', binary.decode(new Uint8Array(blob)).equals(id) && binary.decode(new Uint8Array(blob).buffer).equals(id));
+check('memcmp keeps time order', binary.ordered && storeAndSort(binary, memcmp) === expectedOrder);
+check('Wrong-length blobs are rejected', captureError(() => binary.decode(Buffer.alloc(15))) instanceof pULIDParseError);
+check('Strings are not blobs', captureError(() => binary.decode('0194aa1534ab023722e70b92b8c5f1b7')) instanceof pULIDParseError);
+
+// Test 3: Text
+console.log('\n3. Text:');
+check('Encodes to the canonical ULID', text.encode(id) === '01JJN1AD5B08VJ5SRBJAWCBWDQ');
+check('Round-trips through parse', text.decode(text.encode(id)).equals(id));
+check('Binary collation keeps time order', text.ordered && storeAndSort(text, binaryCollation) === expectedOrder);
+check('Invalid text is rejected', captureError(() => text.decode('not-a-ulid')) instanceof pULIDParseError);
+
+// Test 4: NULL and type handling
+console.log('\n4. NULL handling:');
+check('NULL passes through every codec', [postgresUuid, binary, text].every(codec =>
+  codec.encode(null) === null && codec.encode(undefined) === null && codec.decode(null) === null && codec.decode(undefined) === null));
+check('Encoding a string is rejected', captureError(() => text.encode('01JJN1AD5B08VJ5SRBJAWCBWDQ')) instanceof pULIDError);
+check('Non-string uuid values are rejected', captureError(() => postgresUuid.decode(42)) instanceof pULIDParseError);
+
+finish('Codec tests');
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Test the buffered entropy pool
+ */
+
+const { pULIDGenerator, EntropyGenerator, SeededEntropySource, pULIDEntropyError } = require('../src');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing entropy pool');
+console.log('='.repeat(50));
+
+// Counts calls and keeps every block handed to the generator
+function countingSource() {
+  const seeded = new SeededEntropySource('pool');
+  const source = {
+    calls: 0,
+    blocks: [],
+    getRandomBytes(length) {
+      source.calls++;
+      const block = seeded.getRandomBytes(length);
+      source.blocks.push(block);
+      return block;
+    }
+  };
+  return source;
+}
+
+// Test 1: Pooled generation
+console.log('\n1. Pooled generation:');
+const source = countingSource();
+const pooled = new EntropyGenerator({ source, poolSize: 64 });
+const values = [];
+for (let i = 0; i < 8; i++) {
+  values.push(pooled.generate());
+}
+check('One source call serves a full pool', source.calls === 1);
+check('Slices are 8 bytes each', values.every(value => value.length === 8));
+const expected = new SeededEntropySource('pool').getRandomBytes(64);
+check('Slices come from the fetched block in order', values.every((value, i) => value.every((byte, j) => byte === expected[i * 8 + j])));
+check('Used bytes are wiped from the pool', source.blocks[0].every(byte => byte === 0));
+pooled.generate();
+check('Pool refills on exhaustion', source.calls === 2);
+check('Pool info reports remaining bytes', pooled.getPoolInfo().size === 64 && pooled.getPoolInfo().available === 56);
+
+// Test 2: Sizing and wiping
+console.log('\n2. Sizing and wiping:');
+pooled.wipePool();
+check('wipePool zeroes unused bytes', source.blocks[1].every(byte => byte === 0) && pooled.getPoolInfo().available === 0);
+pooled.setPoolSize(16);
+pooled.generate();
+check('setPoolSize changes the block size', source.blocks[2].length === 16);
+pooled.setPoolSize(0);
+check('Pool size 0 disables pooling', pooled.generate().length === 8 && source.blocks[3].length === 8);
+check('Size must be a multiple of 8', captureError(() => new EntropyGenerator({ poolSize: 12 })) instanceof pULIDEntropyError);
+check('Size must be non-negative', captureError(() => pooled.setPoolSize(-8)) instanceof pULIDEntropyError);
+
+// Test 3: Batches
+console.log('\n3. Batches:');
+const batchSource = countingSource();
+const batchGenerator = new EntropyGenerator({ source: batchSource, poolSize: 80 });
+const batch = batchGenerator.generateBatch(25);
+check('Batch draws from the pool', batch.length === 25 && batchSource.calls === 3);
+check('Batch values are distinct', new Set(batch.map(v => Array.from(v).join())).size === 25);
+const unpooledSource = countingSource();
+new EntropyGenerator({ source: unpooledSource }).generateBatch(100);
+check('Unpooled batch fetches one block', unpooledSource.calls === 1);
+check('Large unpooled crypto batch is not capped', new EntropyGenerator().generateBatch(10000).length === 10000);
+check('Crypto pool larger than 64 KiB fills', new EntropyGenerator({ poolSize: 131072 }).generate().length === 8);
+
+const idSource = countingSource();
+const generator = new pULIDGenerator({ entropySource: idSource, entropyPoolSize: 8192 });
+const ids = generator.generateBatch(1000);
+check('pULIDGenerator.generateBatch uses the pool', idSource.calls === 1 && new Set(ids.map(String)).size === 1000);
+check('Pooled crypto entropy works by default source', new pULIDGenerator({ entropyPoolSize: 1024 }).generateBatch(200).length === 200);
+let singleCalls = 0;
+const generateOnly = { generate: () => new Uint8Array(8).fill(++singleCalls) };
+const fromGenerateOnly = new pULIDGenerator({ entropyGenerator: generateOnly }).generateBatch(3);
+check('Entropy generators without generateBatch fall back to generate()', singleCalls === 3 && fromGenerateOnly[2].getEntropy()[0] === 3);
+
+finish('Entropy pool tests');
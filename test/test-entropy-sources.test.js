@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Test pluggable and seeded entropy sources
+ */
+
+const {
+  pULIDGenerator,
+  EntropyGenerator,
+  CryptoEntropySource,
+  SeededEntropySource,
+  pULIDEntropyError
+} = require('../src');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing entropy sources');
+console.log('='.repeat(50));
+
+function sequence(seed, count) {
+  const generator = new pULIDGenerator({ defaultScope: 567, entropySource: new SeededEntropySource(seed) });
+  const ids = [];
+  for (let i = 0; i < count; i++) {
+    ids.push(generator.generate({ timestamp: 1738020304043 + i }).toString());
+  }
+  return ids;
+}
+
+// Test 1: Seeded source is reproducible
+console.log('\n1. Reproducible sequences:');
+const first = sequence('fixtures', 20);
+check('Same seed produces the same ID sequence', first.join() === sequence('fixtures', 20).join());
+check('Different seeds produce different sequences', first.join() !== sequence('other', 20).join());
+check('Numeric seeds are accepted', sequence(42, 3).join() === sequence(42, 3).join());
+check('IDs within a sequence are distinct', new Set(first).size === first.length);
+
+const source = new SeededEntropySource(7);
+const before = Array.from(source.getRandomBytes(8)).join();
+source.reset();
+check('reset() restarts the sequence', Array.from(source.getRandomBytes(8)).join() === before);
+check('Seeded source is marked insecure', source.secure === false);
+
+// Test 2: Pluggable sources
+console.log('\n2. Pluggable sources:');
+const constant = new EntropyGenerator({ source: { getRandomBytes: length => new Uint8Array(length).fill(7) } });
+check('Custom source is used', constant.generate().every(byte => byte === 7));
+check('Crypto source is secure and produces 8 bytes', new CryptoEntropySource().secure && new EntropyGenerator({ source: new CryptoEntropySource() }).generate().length === 8);
+check('Source without getRandomBytes is rejected', captureError(() => new EntropyGenerator({ source: {} })) instanceof pULIDEntropyError);
+const short = new EntropyGenerator({ source: { getRandomBytes: () => new Uint8Array(3) } });
+check('Wrong-length output is rejected', captureError(() => short.generate()) instanceof pULIDEntropyError);
+check('Invalid seed is rejected', captureError(() => new SeededEntropySource({})) instanceof pULIDEntropyError);
+
+// Test 3: Production guard
+console.log('\n3. Production guard:');
+const previousEnv = process.env.NODE_ENV;
+process.env.NODE_ENV = 'production';
+const seededError = captureError(() => new SeededEntropySource('fixtures'));
+const insecureError = captureError(() => new EntropyGenerator({ source: { secure: false, getRandomBytes: n => new Uint8Array(n) } }));
+const secureError = captureError(() => new EntropyGenerator({ source: new CryptoEntropySource() }));
+if (previousEnv === undefined) {
+  delete process.env.NODE_ENV;
+} else {
+  process.env.NODE_ENV = previousEnv;
+}
+check('SeededEntropySource is refused in production', seededError instanceof pULIDEntropyError);
+check('Any insecure source is refused in production', insecureError instanceof pULIDEntropyError);
+check('Secure sources are allowed in production', secureError === null);
+
+finish('Entropy source tests');
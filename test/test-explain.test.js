@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Test the structured pULID.explain() breakdown
+ */
+
+const { pULID, ScopeManager, pULIDParseError } = require('../src');
+const { check, finish } = require('./helpers');
+
+console.log('🧪 Testing pULID.explain()');
+console.log('='.repeat(50));
+
+const ulid = '01JJN1AD5B08VJ5SRBJAWCBWDQ';
+const uuid = '0194aa15-34ab-0237-22e7-0b92b8c5f1b7';
+const now = Date.parse('2025-06-01T00:00:00Z');
+
+// Test 1: Field locations
+console.log('\n1. Field locations:');
+const explained = pULID.explain(ulid, { now });
+const [timestamp, scope, entropy] = explained.fields;
+check('Form and encodings are reported', explained.form === 'ulid' && explained.ulid === ulid && explained.uuid === uuid);
+check('Timestamp covers bytes 0-6 and characters 0-10', timestamp.bytes.end === 6 && timestamp.chars.start === 0 && timestamp.chars.end === 10);
+check('Scope covers characters 10-14', scope.chars.start === 10 && scope.chars.end === 14);
+check('Scope and entropy share character 13', scope.sharedChars.join() === '13' && entropy.sharedChars.join() === '13');
+check('Timestamp does not share characters', timestamp.sharedChars.length === 0);
+check('UUID character ranges skip hyphens', uuid.slice(scope.uuidChars.start, scope.uuidChars.end) === '0237' &&
+  uuid.slice(timestamp.uuidChars.start, timestamp.uuidChars.end) === '0194aa15-34ab');
+
+// Test 2: Raw bits and decoded values
+console.log('\n2. Bits and values:');
+check('Bit strings match field widths', timestamp.bits.length === 48 && scope.bits.length === 16 && entropy.bits.length === 64);
+check('Scope bits decode to 567', parseInt(scope.bits, 2) === 567 && scope.value === 567);
+check('Timestamp decodes to its date', timestamp.value === 1738020304043 && timestamp.date === '2025-01-27T23:25:04.043Z');
+check('Entropy value is hex', entropy.value === '22e70b92b8c5f1b7');
+check('Valid input has no warnings', explained.warnings.length === 0);
+
+// Test 3: UUID input and registry names
+console.log('\n3. UUID input:');
+const manager = new ScopeManager();
+manager.register('user', 567);
+const fromUuid = pULID.explain(uuid, { now, scopeManager: manager });
+check('UUID input is detected', fromUuid.form === 'uuid' && fromUuid.ulid === ulid);
+check('Scope entity name is resolved', fromUuid.fields[1].entity === 'user');
+
+// Test 4: Warnings
+console.log('\n4. Warnings:');
+const maxScope = pULID.explain('0194AA0E-DCDE-FFFF-53F2-18257F60B037', { now });
+check('Scope 65535 is flagged', maxScope.warnings.some(w => w.field === 'scope'));
+const future = pULID.explain(ulid, { now: 0 });
+check('Future timestamp is flagged', future.warnings.some(w => w.field === 'timestamp'));
+const lower = pULID.explain(ulid.toLowerCase(), { now });
+check('Non-canonical input is flagged', lower.warnings.length === 1 && lower.warnings[0].field === null);
+const boundary = pULID.explain('01JJN1AD5B08V0000000000000', { now });
+check('All-zero entropy is flagged', boundary.warnings.some(w => w.field === 'entropy'));
+
+// Test 5: Invalid input
+console.log('\n5. Invalid input:');
+let error = null;
+try {
+  pULID.explain('not-a-pulid');
+} catch (e) {
+  error = e;
+}
+check('Invalid input throws pULIDParseError', error instanceof pULIDParseError);
+
+finish('Explain tests');
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * Test FakeTimestampGenerator as a controllable clock for pULIDGenerator
+ */
+
+const { pULIDGenerator, FakeTimestampGenerator, SeededEntropySource, pULIDTimestampError } = require('../src');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing fake clock');
+console.log('='.repeat(50));
+
+const start = Date.parse('2025-01-27T23:25:04.043Z');
+
+// Test 1: set and advance
+console.log('\n1. set and advance:');
+const clock = new FakeTimestampGenerator({ start });
+const generator = new pULIDGenerator({ timestampGenerator: clock });
+check('IDs use the fake time', generator.generate().getTimestamp() === start);
+check('Time does not move on its own', generator.generate().getTimestamp() === start);
+clock.advance(60000);
+check('advance() moves the clock forwards', generator.generate().getTimestamp() === start + 60000);
+clock.set(new Date('2030-01-01T00:00:00Z'));
+check('set() accepts a Date', generator.generate().getTime().toISOString() === '2030-01-01T00:00:00.000Z');
+clock.advance(-1000);
+check('advance() accepts negative values', clock.now() === Date.parse('2029-12-31T23:59:59Z'));
+
+// Test 2: automatic tick
+console.log('\n2. Automatic tick:');
+const ticking = new FakeTimestampGenerator({ start, tick: 5 });
+const tickGenerator = new pULIDGenerator({ timestampGenerator: ticking });
+const timestamps = tickGenerator.generateBatch(3).map(id => id.getTimestamp());
+check('Each call advances by the tick', timestamps.join() === [start, start + 5, start + 10].join());
+check('now() does not tick', ticking.now() === ticking.now());
+check('getConfig() does not tick', (tickGenerator.getConfig(), ticking.now() === start + 15));
+check('isFuture() uses the fake time', ticking.isFuture(start + 16) && !ticking.isFuture(start));
+
+// Test 3: Out-of-range fake times fail loudly
+console.log('\n3. Validation:');
+check('Negative start is rejected', captureError(() => new FakeTimestampGenerator({ start: -1 })) instanceof pULIDTimestampError);
+check('set() beyond 48 bits is rejected', captureError(() => clock.set(2 ** 48)) instanceof pULIDTimestampError);
+check('advance() below zero is rejected', captureError(() => new FakeTimestampGenerator().advance(-1)) instanceof pULIDTimestampError);
+check('Fractional tick is rejected', captureError(() => new FakeTimestampGenerator({ tick: 0.5 })) instanceof pULIDTimestampError);
+const edge = new FakeTimestampGenerator({ start: 281474976710655, tick: 1 });
+edge.generate();
+check('Ticking past the maximum fails on the next call', captureError(() => edge.generate()) instanceof pULIDTimestampError);
+
+// Test 4: Fully reproducible runs
+console.log('\n4. Reproducible runs:');
+function run() {
+  const reproducible = new pULIDGenerator({
+    timestampGenerator: new FakeTimestampGenerator({ start, tick: 1 }),
+    entropySource: new SeededEntropySource('clock')
+  });
+  return reproducible.generateBatchStrings(10);
+}
+check('Fake clock and seeded entropy give identical runs', run().join() === run().join());
+
+finish('Fake clock tests');
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Test hex, base58, base62 and base64url encodings
+ */
+
+const {
+  pULID,
+  pULIDGenerator,
+  SeededEntropySource,
+  encodeBase58,
+  decodeBase58,
+  encodeBase62,
+  encodeBase64Url,
+  decodeHex,
+  listFormats,
+  pULIDError,
+  pULIDParseError
+} = require('../src');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing alternative formats');
+console.log('='.repeat(50));
+
+const id = pULID.parse('01JJN1AD5B08VJ5SRBJAWCBWDQ');
+const formats = listFormats();
+
+// Test 1: Known vectors
+console.log('\n1. Known vectors:');
+check('hex', id.toFormat('hex') === '0194aa1534ab023722e70b92b8c5f1b7');
+check('base58', id.toFormat('base58') === '1CKdhz9Vxy5pFNa71XhQdt');
+check('base62', id.toFormat('base62') === '02yvn9NCKYEOub9cPzLOHn');
+check('base64url', id.toFormat('base64url') === 'AZSqFTSrAjci5wuSuMXxtw');
+check('base32 and uuid match the canonical forms', id.toFormat('base32') === id.toString() && id.toFormat('uuid') === id.toUUID());
+check('hex equals the UUID without hyphens', id.toFormat('hex') === id.toUUID().replace(/-/g, '').toLowerCase());
+check('Zero bytes pad with the zero digit', encodeBase58(new Uint8Array(16)) === '1'.repeat(22) && encodeBase62(new Uint8Array(16)) === '0'.repeat(22));
+check('All-ones bytes fit in 22 characters', encodeBase58(new Uint8Array(16).fill(255)).length === 22 && encodeBase62(new Uint8Array(16).fill(255)) === '7n42DGM5Tflk9n8mt7Fhc7');
+
+// Test 2: Round trips and lengths
+console.log('\n2. Round trips:');
+const generator = new pULIDGenerator({ entropySource: new SeededEntropySource('formats') });
+const ids = [];
+for (let i = 0; i < 300; i++) {
+  ids.push(generator.generate({ timestamp: 1738020304043 + (i % 7) * 86400000, scope: 1 + (i % 4) * 20000 }));
+}
+for (const { name, length } of formats) {
+  check(`${name} round-trips at a fixed length of ${length}`, ids.every(value => {
+    const encoded = value.toFormat(name);
+    return encoded.length === length && pULID.fromFormat(name, encoded).equals(value);
+  }));
+}
+check('Hex decoding accepts uppercase', pULID.fromFormat('hex', id.toFormat('hex').toUpperCase()).equals(id));
+
+// Test 3: Ordering
+console.log('\n3. Ordering:');
+const sorted = pULID.sort(ids);
+const byCodeUnit = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+for (const { name, sortable } of formats) {
+  const preserved = ids.map(value => value.toFormat(name)).sort(byCodeUnit).join() === sorted.map(value => value.toFormat(name)).join();
+  check(`${name} ${sortable ? 'preserves' : 'does not preserve'} ordering`, preserved === sortable);
+}
+
+// Test 4: Invalid input
+console.log('\n4. Invalid input:');
+check('Unknown format is a pULIDError', (() => {
+  const error = captureError(() => id.toFormat('base36'));
+  return error instanceof pULIDError && !(error instanceof pULIDParseError);
+})());
+check('fromFormat() with unknown format is a pULIDError', captureError(() => pULID.fromFormat('base36', 'x')) instanceof pULIDError);
+check('Wrong length is rejected', captureError(() => pULID.fromFormat('base62', '02yvn9NCKYEOub9cPzLOH')) instanceof pULIDParseError);
+check('Characters outside the base58 alphabet are rejected', captureError(() => pULID.fromFormat('base58', '0CKdhz9Vxy5pFNa71XhQdt')) instanceof pULIDParseError);
+check('base58 values beyond 128 bits are rejected', captureError(() => decodeBase58('z'.repeat(22))) !== null);
+check('base64url padding bits must be zero', captureError(() => pULID.fromFormat('base64url', 'AZSqFTSrAjci5wuSuMXxtx')) instanceof pULIDParseError);
+check('Standard base64 characters are rejected', captureError(() => pULID.fromFormat('base64url', 'AZSqFTSrAjci5wuSuMXx+w')) instanceof pULIDParseError);
+check('Non-hex characters are rejected', captureError(() => decodeHex('g'.repeat(32))) !== null);
+check('Encoders require 16 bytes', captureError(() => encodeBase64Url(new Uint8Array(15))) !== null);
+
+finish('Format tests');
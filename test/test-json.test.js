@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Test JSON serialization modes, fromJSON, the JSON.parse reviver and parseJSON
+ */
+
+const { pULID, pULIDGenerator, SeededEntropySource, pULIDError, pULIDParseError } = require('../src');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing JSON modes and revival');
+console.log('='.repeat(50));
+
+const id = pULID.parse('01JJN1AD5B08VJ5SRBJAWCBWDQ');
+const uuid = '0194aa15-34ab-0237-22e7-0b92b8c5f1b7';
+
+// Test 1: Serialization modes
+console.log('\n1. Serialization modes:');
+check('Default mode is the full object', pULID.getJSONMode() === 'object' && JSON.parse(JSON.stringify(id)).ulid === id.toString());
+const options = { entropySource: new SeededEntropySource('json') };
+const ulidGenerator = new pULIDGenerator({ ...options, json: 'ulid' });
+const uuidGenerator = new pULIDGenerator({ ...options, json: 'uuid' });
+const fromUlidGenerator = ulidGenerator.generate();
+check('Generator in ulid mode serializes to the ULID string', JSON.stringify({ id: fromUlidGenerator }) === `{"id":"${fromUlidGenerator}"}`);
+check('Generator in uuid mode serializes to the UUID string', JSON.stringify(uuidGenerator.generate({ timestamp: id.getTimestamp(), scope: 567, entropy: id.getEntropy() })) === `"${uuid}"`);
+check('Generator mode appears in getConfig()', ulidGenerator.getConfig().json === 'ulid' && new pULIDGenerator().getConfig().json === 'object');
+check('Constructor option sets the mode of one instance', new pULID(id.getTimestamp(), 567, id.getEntropy(), { json: 'ulid' }).toJSON() === id.toString());
+
+pULID.setJSONMode('ulid');
+const globalResult = JSON.stringify([id, uuidGenerator.generate()]);
+pULID.setJSONMode('object');
+check('Global mode applies to instances without their own mode', JSON.parse(globalResult)[0] === id.toString());
+check('Instance mode wins over the global mode', JSON.parse(globalResult)[1].length === 36);
+check('Invalid modes are rejected', captureError(() => pULID.setJSONMode('xml')) instanceof pULIDError &&
+  captureError(() => new pULIDGenerator({ json: 'xml' })) instanceof pULIDError && pULID.getJSONMode() === 'object');
+
+// Test 2: fromJSON
+console.log('\n2. fromJSON:');
+check('Accepts the ULID string', pULID.fromJSON(id.toString()).equals(id));
+check('Accepts the UUID string', pULID.fromJSON(uuid).equals(id));
+check('Accepts the full object', pULID.fromJSON(JSON.parse(JSON.stringify(id.toJSON()))).equals(id));
+check('Accepts an object with only a uuid', pULID.fromJSON({ uuid }).equals(id));
+check('Accepts an object with only timestamp, scope and entropy', pULID.fromJSON({ timestamp: id.timestamp, scope: id.scope, entropy: Array.from(id.entropy) }).equals(id));
+check('Disagreeing ulid and uuid are rejected', captureError(() => pULID.fromJSON({ ulid: id.toString(), uuid: fromUlidGenerator.toUUID() })) instanceof pULIDParseError);
+check('Objects without a pULID are rejected', captureError(() => pULID.fromJSON({ name: 'x' })) instanceof pULIDParseError);
+check('Numbers and null are rejected', captureError(() => pULID.fromJSON(42)) instanceof pULIDParseError && captureError(() => pULID.fromJSON(null)) instanceof pULIDParseError);
+
+// Test 3: Reviver
+console.log('\n3. Reviver:');
+const payload = JSON.stringify({
+  id: id.toString(),
+  label: id.toString(),
+  customer: { id: uuid },
+  items: [{ orderId: id.toJSON() }, { orderId: null }, { orderId: 'pending' }],
+  byRegion: { eu: id.toString(), us: uuid }
+});
+const revived = JSON.parse(payload, pULID.reviver(['id', 'customer.id', 'items.*.orderId', 'byRegion.*']));
+check('Top-level key is revived', revived.id instanceof pULID && revived.id.equals(id));
+check('Keys outside the paths are left alone', revived.label === id.toString());
+check('Nested paths are revived', revived.customer.id instanceof pULID && revived.customer.id.equals(id));
+check('* matches array indices and full objects are revived', revived.items[0].orderId instanceof pULID && revived.items[0].orderId.equals(id));
+check('null and non-pULID values at matching paths are unchanged', revived.items[1].orderId === null && revived.items[2].orderId === 'pending');
+check('* matches object keys', revived.byRegion.eu instanceof pULID && revived.byRegion.us instanceof pULID);
+check('Empty path revives the top-level value', JSON.parse(JSON.stringify(uuid), pULID.reviver([''])).equals(id));
+check('Round trip through a ulid-mode generator', JSON.parse(JSON.stringify({ id: fromUlidGenerator }), pULID.reviver(['id'])).id.equals(fromUlidGenerator));
+check('Invalid paths are rejected', captureError(() => pULID.reviver('id')) instanceof pULIDError);
+
+// Test 4: Nested "" keys
+console.log('\n4. Nested "" keys:');
+const nested = `{"meta":{"":{"id":"${id.toString()}"}},"id":"x"}`;
+const revivedNested = JSON.parse(nested, pULID.reviver(['id']));
+check('Nested "" object is not taken for the root', revivedNested.meta[''].id === id.toString() && revivedNested.id === 'x');
+check('Empty path leaves a nested "" value alone', JSON.parse(`{"meta":{"":"${id.toString()}"}}`, pULID.reviver([''])).meta[''] === id.toString());
+const underEmptyKey = JSON.parse(`{"":{"id":"${id.toString()}"}}`, pULID.reviver(['.id']));
+check('Top-level "" key is still reachable by path', underEmptyKey[''].id instanceof pULID && underEmptyKey[''].id.equals(id));
+const deep = JSON.parse(`{"a":{"":{"":{"id":"${id.toString()}"}}},"id":"${id.toString()}"}`, pULID.reviver(['id']));
+check('Nested "" objects at several depths are left alone', typeof deep.a[''][''].id === 'string' && deep.id instanceof pULID);
+
+// Test 5: parseJSON
+console.log('\n5. parseJSON:');
+const parsedNested = pULID.parseJSON(nested, ['id']);
+check('Walks from the real root', parsedNested.id === 'x' && parsedNested.meta[''].id === id.toString());
+const parsedPayload = pULID.parseJSON(payload, ['id', 'customer.id', 'items.*.orderId']);
+check('Matches paths like the reviver', parsedPayload.id.equals(id) && parsedPayload.customer.id.equals(id) && parsedPayload.items[0].orderId.equals(id) && parsedPayload.label === id.toString());
+check('Empty path revives the top-level value', pULID.parseJSON(JSON.stringify(uuid), ['']).equals(id));
+check('Invalid JSON throws a SyntaxError', captureError(() => pULID.parseJSON('{', ['id'])) instanceof SyntaxError);
+check('Invalid paths are rejected', captureError(() => pULID.parseJSON('{}', 'id')) instanceof pULIDError);
+
+finish('JSON tests');
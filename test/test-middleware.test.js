@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Test route parameter middleware with mock requests and responses
+ */
+
+const { pULID, ScopeManager, createParamParser, createParamMiddleware, createKoaParamMiddleware, pULIDError } = require('../src');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing route parameter middleware');
+console.log('='.repeat(50));
+
+// Express-style response recording status() and json()
+function mockExpressResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// Plain Node http.ServerResponse shape
+function mockNodeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    ended: null,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    end(chunk) {
+      this.ended = chunk;
+    }
+  };
+}
+
+function runExpress(middleware, params) {
+  const req = { params: { ...params } };
+  const res = params.node ? mockNodeResponse() : mockExpressResponse();
+  let nextCalled = false;
+  middleware(req, res, () => {
+    nextCalled = true;
+  });
+  return { req, res, nextCalled };
+}
+
+async function main() {
+  const ulid = '01JJN1AD5B08VJ5SRBJAWCBWDQ';
+  const uuid = '0194aa15-34ab-0237-22e7-0b92b8c5f1b7';
+  const id = pULID.parse(ulid);
+  const manager = new ScopeManager();
+  manager.register('order', 567);
+  manager.register('user', 1);
+
+  // Test 1: Parser
+  console.log('\n1. Parser:');
+  const parse = createParamParser({ entity: 'order', scopeManager: manager });
+  const parsed = parse(uuid);
+  check('UUID parameter parses to the pULID', parsed.ok && parsed.value.equals(id));
+  check('Parameter is kept as given without normalize', parsed.normalized === uuid);
+  check('ULID parameter parses to the pULID', parse(ulid).ok && parse(ulid).value.equals(id));
+  const malformed = parse('nope');
+  check('Malformed parameter is a 400', !malformed.ok && malformed.status === 400 && malformed.body.status === 400 && malformed.body.error === 'Bad Request');
+  check('Failure body carries the validator reasons', malformed.body.errors[0].code === 'invalid_format' && malformed.body.errors[0].field === 'id' && malformed.body.message === malformed.body.errors[0].message);
+  const wrongEntity = createParamParser({ entity: 'user', scopeManager: manager })(ulid);
+  check('Other entity is a 404', !wrongEntity.ok && wrongEntity.status === 404 && wrongEntity.body.error === 'Not Found' && wrongEntity.body.errors[0].code === 'scope_not_allowed');
+  const lateManager = new ScopeManager();
+  const late = createParamParser({ entity: 'order', scopeManager: lateManager });
+  const unregistered = late(ulid);
+  check('Unregistered entity gives a 404 instead of throwing', !unregistered.ok && unregistered.status === 404 && unregistered.body.errors[0].code === 'scope_not_allowed' && unregistered.body.errors[0].field === 'id');
+  check('Unregistered entity still rejects malformed values with a 400', late('nope').status === 400);
+  lateManager.register('order', 567);
+  check('Entity registered later is picked up', late(ulid).ok);
+  check('mismatchStatus changes the scope failure status', createParamParser({ scopes: [1], mismatchStatus: 400 })(ulid).status === 400);
+  check('Creation time failures use the mismatch status', createParamParser({ maxTime: id.getTimestamp() - 1 })(ulid).status === 404);
+  check('Missing parameter is a 400', createParamParser()(undefined).status === 400);
+  check('normalize rewrites to the canonical form', createParamParser({ normalize: 'ulid' })(uuid.toUpperCase()).normalized === ulid && createParamParser({ normalize: 'uuid' })(ulid.toLowerCase()).normalized === uuid);
+  check('Invalid options are rejected', captureError(() => createParamParser({ normalize: 'hex' })) instanceof pULIDError && captureError(() => createParamParser({ accept: 'hex' })) instanceof pULIDError);
+
+  // Test 2: Express/Connect middleware
+  console.log('\n2. Express/Connect middleware:');
+  const orderMiddleware = createParamMiddleware({ param: 'orderId', entity: 'order', scopeManager: manager, normalize: 'ulid' });
+  const passed = runExpress(orderMiddleware, { orderId: uuid });
+  check('Valid parameter calls next()', passed.nextCalled);
+  check('Parsed pULID is attached to the request', passed.req.pulids.orderId instanceof pULID && passed.req.pulids.orderId.equals(id));
+  check('Parameter is normalized in req.params', passed.req.params.orderId === ulid);
+  const rejected = runExpress(orderMiddleware, { orderId: 'nope' });
+  check('Invalid parameter does not call next()', !rejected.nextCalled && rejected.req.pulids === undefined);
+  check('Invalid parameter sends a JSON 400', rejected.res.statusCode === 400 && rejected.res.body.errors[0].field === 'orderId');
+  const notFound = runExpress(orderMiddleware, { orderId: new pULID(id.getTimestamp(), 1, id.getEntropy()).toString() });
+  check('Other entity sends a JSON 404', !notFound.nextCalled && notFound.res.statusCode === 404 && notFound.res.body.errors[0].code === 'scope_not_allowed');
+  const nodeResult = runExpress(createParamMiddleware(), { id: 'nope', node: true });
+  check('Plain Node responses get status, header and JSON body', nodeResult.res.statusCode === 400 && nodeResult.res.headers['content-type'].startsWith('application/json') && JSON.parse(nodeResult.res.ended).status === 400);
+
+  const req = { params: { userId: new pULID(id.getTimestamp(), 1, id.getEntropy()).toString(), orderId: ulid } };
+  createParamMiddleware({ param: 'userId', entity: 'user', scopeManager: manager })(req, mockExpressResponse(), () => {});
+  createParamMiddleware({ param: 'orderId', entity: 'order', scopeManager: manager })(req, mockExpressResponse(), () => {});
+  check('Several parameters accumulate on the request', req.pulids.userId.getScope() === 1 && req.pulids.orderId.getScope() === 567);
+  const custom = runExpress(createParamMiddleware({ property: 'ids' }), { id: ulid });
+  check('property option changes where IDs are attached', custom.req.ids.id.equals(id));
+
+  // Test 3: Koa middleware
+  console.log('\n3. Koa middleware:');
+  const koaMiddleware = createKoaParamMiddleware({ entity: 'order', scopeManager: manager });
+  const okContext = { params: { id: uuid }, state: {} };
+  let downstream = false;
+  await koaMiddleware(okContext, async () => {
+    downstream = true;
+  });
+  check('Valid parameter awaits next()', downstream);
+  check('Parsed pULID is attached to ctx.state', okContext.state.pulids.id.equals(id));
+  check('Status and body are left to the route', okContext.status === undefined && okContext.body === undefined);
+  const badContext = { params: { id: 'nope' }, state: {} };
+  downstream = false;
+  await koaMiddleware(badContext, async () => {
+    downstream = true;
+  });
+  check('Invalid parameter sets a 400 body without calling next()', !downstream && badContext.status === 400 && badContext.body.errors[0].code === 'invalid_format');
+  const missingContext = { params: { id: new pULID(id.getTimestamp(), 1, id.getEntropy()).toUUID() } };
+  await koaMiddleware(missingContext, async () => {});
+  check('Other entity sets a 404 body', missingContext.status === 404 && missingContext.body.error === 'Not Found');
+}
+
+main().then(() => finish('Middleware tests'), error => {
+  console.error(error);
+  process.exit(1);
+});
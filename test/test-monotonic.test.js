@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * Test monotonic generation mode of pULIDGenerator
+ */
+
+const { pULIDGenerator, pULIDOverflowError, incrementEntropy } = require('../src');
+const { check, finish } = require('./helpers');
+
+console.log('🧪 Testing monotonic pULID generation');
+console.log('='.repeat(50));
+
+const fixedTimestamp = 1737998288350;
+
+// Test 1: Entropy increment as a big-endian counter
+console.log('\n1. Entropy increment:');
+const incremented = incrementEntropy(new Uint8Array([0, 0, 0, 0, 0, 0, 0x01, 0xff]));
+check('Carries into the next byte', Array.from(incremented).join(',') === '0,0,0,0,0,0,2,0');
+
+let overflowError = null;
+try {
+  incrementEntropy(new Uint8Array(8).fill(0xff));
+} catch (error) {
+  overflowError = error;
+}
+check('Throws pULIDOverflowError at maximum value', overflowError instanceof pULIDOverflowError);
+
+// Test 2: Same millisecond and scope sorts in insertion order
+console.log('\n2. Same millisecond ordering:');
+const generator = new pULIDGenerator({ defaultScope: 567, monotonic: true });
+const ids = [];
+for (let i = 0; i < 1000; i++) {
+  ids.push(generator.generate({ timestamp: fixedTimestamp }).toString());
+}
+const sorted = [...ids].sort();
+check('1000 IDs in one millisecond are strictly increasing', ids.every((id, index) => id === sorted[index]) && new Set(ids).size === ids.length);
+const explicitEntropy = new Uint8Array([0x80, 0, 0, 0, 0, 0, 0, 0]);
+const explicit = generator.generate({ timestamp: fixedTimestamp + 1, entropy: explicitEntropy });
+explicitEntropy.fill(0xff);
+const afterExplicit = generator.generate({ timestamp: fixedTimestamp + 1 });
+check('Explicit entropy continues the counter', afterExplicit.compare(explicit) === 1 && afterExplicit.getEntropy()[7] === 1 && afterExplicit.getEntropy()[0] === 0x80);
+const buffer = new Uint8Array(16);
+generator.generateInto(buffer, 0, { timestamp: fixedTimestamp + 2, entropy: new Uint8Array([0x80, 0, 0, 0, 0, 0, 0, 0]) });
+check('generateInto records explicit entropy too', generator.generate({ timestamp: fixedTimestamp + 2 }).getEntropy()[7] === 1);
+
+// Test 3: Counter is tracked per scope
+console.log('\n3. Per-scope counters:');
+const scoped = new pULIDGenerator({ monotonic: true });
+const a1 = scoped.generate({ timestamp: fixedTimestamp, scope: 100 });
+const b1 = scoped.generate({ timestamp: fixedTimestamp, scope: 200 });
+const a2 = scoped.generate({ timestamp: fixedTimestamp, scope: 100 });
+check('Interleaved scope keeps its own counter', a2.compare(a1) === 1);
+check('Other scope is unaffected', b1.getScope() === 200);
+
+// Test 4: Overflow is surfaced from the generator
+console.log('\n4. Generator overflow:');
+const exhausted = new pULIDGenerator({ monotonic: true });
+exhausted.entropyGenerator = { generate: () => new Uint8Array(8).fill(0xff) };
+exhausted.generate({ timestamp: fixedTimestamp });
+let generatorError = null;
+try {
+  exhausted.generate({ timestamp: fixedTimestamp });
+} catch (error) {
+  generatorError = error;
+}
+check('Generator throws pULIDOverflowError when the counter wraps', generatorError instanceof pULIDOverflowError);
+check('A new millisecond starts a fresh counter', exhausted.generate({ timestamp: fixedTimestamp + 1 }).getTimestamp() === fixedTimestamp + 1);
+
+// Test 5: Default mode is unchanged
+console.log('\n5. Default mode:');
+check('Monotonic is off by default', new pULIDGenerator().getConfig().monotonic === false);
+
+finish('Monotonic generation tests');
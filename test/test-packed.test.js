@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Test packed columnar batches of pULIDs
+ */
+
+const {
+  pULID,
+  pULIDGenerator,
+  SeededEntropySource,
+  packPulids,
+  unpackPulids,
+  packedToStrings,
+  stringsToPacked,
+  toArrowFixedSizeBinary,
+  pULIDError,
+  pULIDParseError
+} = require('../src');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing packed batches');
+console.log('='.repeat(50));
+
+const generator = new pULIDGenerator({ defaultScope: 567, entropySource: new SeededEntropySource('packed') });
+const ids = generator.generateBatch(1000);
+const strings = ids.map(String);
+
+// Test 1: Packing instances
+console.log('\n1. Packing instances:');
+const packed = packPulids(ids);
+check('Packed buffer holds N×16 bytes', packed instanceof Uint8Array && packed.length === 16000);
+check('Entries are stored back to back', pULID.readFrom(packed, 16 * 999).equals(ids[999]));
+check('unpackPulids() round-trips', unpackPulids(packed).every((value, i) => value.equals(ids[i])));
+check('Empty batch packs to an empty buffer', packPulids([]).length === 0 && unpackPulids(new Uint8Array(0)).length === 0);
+check('Non-pULID entries are rejected with their index', /index 1/.test((captureError(() => packPulids([ids[0], strings[1]])) || {}).message));
+
+// Test 2: Strings
+console.log('\n2. Strings:');
+check('packedToStrings() matches toString()', packedToStrings(packed).join() === strings.join());
+check('packedToStrings() can emit UUIDs', packedToStrings(packed, 'uuid').join() === ids.map(value => value.toUUID()).join());
+check('packedToStrings() accepts any format', packedToStrings(packed, 'base62')[0] === ids[0].toFormat('base62'));
+const parsed = stringsToPacked(strings);
+check('stringsToPacked() matches packPulids()', parsed.errors.length === 0 && parsed.packed.join() === packed.join());
+check('stringsToPacked() parses UUIDs', stringsToPacked(ids.map(value => value.toUUID()), 'uuid').packed.join() === packed.join());
+
+// Test 3: Per-index errors
+console.log('\n3. Per-index errors:');
+const mixed = [strings[0], 'not-a-pulid', strings[2], null, '8ZZZZZZZZZZZZZZZZZZZZZZZZZ', strings[5]];
+const result = stringsToPacked(mixed);
+check('Every bad entry is reported', result.errors.map(error => error.index).join() === '1,3,4');
+check('Errors carry the input and a message', result.errors[0].input === 'not-a-pulid' && /length/.test(result.errors[0].message));
+check('Good entries are still parsed', pULID.readFrom(result.packed, 0).equals(ids[0]) && pULID.readFrom(result.packed, 80).equals(ids[5]));
+check('Failed entries are zero-filled', result.packed.subarray(16, 32).every(byte => byte === 0));
+
+// Test 4: Arrow column
+console.log('\n4. Arrow FixedSizeBinary(16):');
+const column = toArrowFixedSizeBinary(result.packed, result.errors);
+check('Column describes 16-byte values', column.byteWidth === 16 && column.length === 6);
+check('Data buffer is shared, not copied', column.data === result.packed);
+check('Null count matches the errors', column.nullCount === 3);
+check('Validity bitmap is LSB-first', column.nullBitmap.length === 1 && column.nullBitmap[0] === 0b11100101);
+const clean = toArrowFixedSizeBinary(packed);
+check('No bitmap when every entry is valid', clean.nullBitmap === null && clean.nullCount === 0 && clean.length === 1000);
+
+// Test 5: Generation and validation
+console.log('\n5. Generation and validation:');
+const generated = generator.generateBatchPacked(100);
+const unpacked = unpackPulids(generated);
+check('generateBatchPacked() fills count×16 bytes', generated.length === 1600 && unpacked.every(value => value.getScope() === 567));
+check('Generated IDs are distinct', new Set(packedToStrings(generated)).size === 100);
+check('Invalid count is rejected', captureError(() => generator.generateBatchPacked(0)) instanceof pULIDError);
+check('Partial entries are rejected', captureError(() => packedToStrings(new Uint8Array(20))) instanceof pULIDParseError);
+check('Non-Uint8Array buffers are rejected', captureError(() => unpackPulids(new ArrayBuffer(16))) instanceof pULIDParseError);
+check('Unknown format is rejected', captureError(() => stringsToPacked(strings, 'base36')) instanceof pULIDError);
+
+finish('Packed batch tests');
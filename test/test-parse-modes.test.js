@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * Test strict and lenient parsing, and normalization with a substitution report
+ */
+
+const { pULID, ScopeManager, parse, isValid, decodeBase32, pULIDError, pULIDParseError } = require('../src');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing parse modes and normalization');
+console.log('='.repeat(50));
+
+const ulid = '01JJN1AD5B08VJ5SRBJAWCBWDQ';
+const id = pULID.parse(ulid);
+
+// Test 1: Lenient mode (default)
+console.log('\n1. Lenient mode (default):');
+check('Lowercase is accepted by default', pULID.parse(ulid.toLowerCase()).equals(id));
+check('Explicit lenient mode matches the default', pULID.parse(ulid.toLowerCase(), { mode: 'lenient' }).equals(id));
+check('I and L read as 1, O as 0', pULID.parse('0IJJN1AD5BO8VJ5SRBJAWCBWDQ').equals(id) && pULID.parse('0LJJN1AD5B08VJ5SRBJAWCBWDQ').equals(id));
+// Existing cache keys depend on these decoding the same bytes as before parse modes existed
+check('Lenient decoding of U is unchanged', pULID.parse('01JJN1AD5B08UJ5SRBJAWCBWDQ').equals(pULID.parse('01JJN1AD5B08PJ5SRBJAWCBWDQ')));
+check('Lenient decoding still rejects an alias in the first character', captureError(() => pULID.parse('OIJJN1AD5B08VJ5SRBJAWCBWDQ')) instanceof pULIDParseError);
+
+// Test 2: Strict mode
+console.log('\n2. Strict mode:');
+check('Canonical string is accepted', pULID.parse(ulid, { mode: 'strict' }).equals(id));
+const lower = captureError(() => pULID.parse(ulid.toLowerCase(), { mode: 'strict' }));
+check('Lowercase is rejected with its position', lower instanceof pULIDParseError && lower.message.includes('Non-canonical character in ULID: j at position 2'));
+['I', 'L', 'O', 'U'].forEach(alias => {
+  check(`Alias ${alias} is rejected`, captureError(() => pULID.parse(`${alias}${ulid.slice(1)}`, { mode: 'strict' })) instanceof pULIDParseError);
+});
+check('Each ID has exactly one strict string', [ulid.toLowerCase(), 'OIJJN1AD5B08VJ5SRBJAWCBWDQ'].every(variant => !pULID.isValid(variant, { mode: 'strict' })) && pULID.isValid(ulid, { mode: 'strict' }));
+check('Index wrappers take the mode', parse(ulid, { mode: 'strict' }).equals(id) && !isValid(ulid.toLowerCase(), { mode: 'strict' }) && isValid(ulid.toLowerCase()));
+check('Low-level decoder has a strict option', captureError(() => decodeBase32(ulid.toLowerCase(), { strict: true })) instanceof Error && decodeBase32(ulid.toLowerCase()).length === 16);
+const scopeManager = new ScopeManager();
+scopeManager.register('user', 567, undefined, 'usr');
+check('parsePrefixed passes the mode through', captureError(() => pULID.parsePrefixed(`usr_${ulid.toLowerCase()}`, { scopeManager, mode: 'strict' })) instanceof pULIDParseError);
+check('Unknown mode throws a pULIDError', captureError(() => pULID.parse(ulid, { mode: 'loose' })) instanceof pULIDError && !(captureError(() => pULID.parse(ulid, { mode: 'loose' })) instanceof pULIDParseError));
+check('isValid does not hide an unknown mode', captureError(() => pULID.isValid(ulid, { mode: 'loose' })) instanceof pULIDError);
+
+// Test 3: Normalization
+console.log('\n3. Normalization:');
+const canonical = pULID.normalize(ulid);
+check('Canonical input needs no substitutions', canonical.normalized === ulid && canonical.substitutions.length === 0);
+const spoken = pULID.normalize(' 01jjn1ad5b-08vj5srb-jawcbwdq\n');
+check('Whitespace, hyphens and case are normalized', spoken.normalized === ulid && pULID.parse(spoken.normalized, { mode: 'strict' }).equals(id));
+const separators = spoken.substitutions.filter(entry => entry.reason === 'separator');
+check('Removed separators are reported with their input index', separators.map(entry => entry.index).join() === '0,11,20,29' && separators.every(entry => entry.to === ''));
+check('Case changes are reported', spoken.substitutions.some(entry => entry.index === 3 && entry.from === 'j' && entry.to === 'J' && entry.reason === 'case'));
+const aliases = pULID.normalize('OIJJN1AD5B08VJ5SRBJAWCBWDl').substitutions;
+check('Aliases are reported', aliases.map(entry => `${entry.from}>${entry.to}`).join() === 'O>0,I>1,l>1' && aliases.every(entry => entry.reason === 'alias'));
+check('Lowercase aliases count as aliases', pULID.normalize(`o${ulid.slice(1)}`).substitutions[0].reason === 'alias');
+check('Wrong length after removing separators is rejected', captureError(() => pULID.normalize(`${ulid}-0`)).message.includes('after removing separators'));
+check('Invalid characters are rejected with their position', captureError(() => pULID.normalize(`01JJN1AD5B!${ulid.slice(10)}`)).message.includes('position 10'));
+check('Timestamp overflow is rejected', captureError(() => pULID.normalize(`8${ulid.slice(1)}`)) instanceof pULIDParseError);
+check('Non-strings are rejected', captureError(() => pULID.normalize(42)) instanceof pULIDParseError);
+
+finish('Parse mode tests');
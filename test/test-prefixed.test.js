@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Test prefixed string IDs tied to the scope registry
+ */
+
+const { pULID, ScopeManager, pULIDError, pULIDParseError, pULIDScopeError } = require('../src');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing prefixed string IDs');
+console.log('='.repeat(50));
+
+const ulid = '01JJN1AD5B08VJ5SRBJAWCBWDQ';
+const id = pULID.parse(ulid);
+const scopeManager = new ScopeManager();
+scopeManager.register('user', 567, 'Users', 'usr');
+scopeManager.register('order', 1000, undefined, 'ord');
+scopeManager.register('event', 1001);
+const options = { scopeManager };
+
+// Test 1: Registry
+console.log('\n1. Registry:');
+check('Prefix is looked up by scope', scopeManager.getPrefixForScope(567) === 'usr' && scopeManager.getPrefixForScope(1001) === null);
+check('Scope is looked up by prefix', scopeManager.getScopeForPrefix('ord') === 1000 && scopeManager.getScopeForPrefix('evt') === null);
+check('Invalid prefixes are rejected', ['Usr', '1usr', 'us_r', ''].every(prefix => captureError(() => new ScopeManager().register('user', 1, undefined, prefix)) instanceof pULIDScopeError));
+const duplicate = captureError(() => scopeManager.register('account', 2, undefined, 'usr'));
+check('Duplicate prefixes are rejected without registering the entity', duplicate instanceof pULIDScopeError && !scopeManager.hasEntity('account'));
+check('Prefixes are exported with the manifest', scopeManager.exportManifest().scopes.find(entry => entry.name === 'user').prefix === 'usr' && !('prefix' in scopeManager.exportManifest().scopes.find(entry => entry.name === 'event')));
+const loaded = new ScopeManager().loadManifest(scopeManager.exportManifest());
+check('Manifest prefixes round-trip', loaded.getPrefixForScope(567) === 'usr' && loaded.getScopeForPrefix('ord') === 1000);
+const problems = new ScopeManager().validateManifest({ scopes: [{ name: 'a', scope: 1, prefix: 'x' }, { name: 'b', scope: 2, prefix: 'x' }, { name: 'c', scope: 3, prefix: 'C' }] });
+check('Manifest validation reports duplicate and invalid prefixes', problems.length === 2 && problems[0].includes('already used') && problems[1].includes('invalid prefix'));
+const removable = new ScopeManager();
+removable.register('user', 567, undefined, 'usr');
+removable.unregister('user');
+check('Unregistering frees the prefix', removable.getScopeForPrefix('usr') === null && removable.register('member', 568, undefined, 'usr') === 568);
+
+// Test 2: Formatting
+console.log('\n2. Formatting:');
+check('toPrefixed joins prefix, underscore and ULID', id.toPrefixed(options) === `usr_${ulid}`);
+check('Separator is configurable', id.toPrefixed({ ...options, separator: '-' }) === `usr-${ulid}` && id.toPrefixed({ ...options, separator: '::' }) === `usr::${ulid}`);
+check('Scope without a prefix throws a pULIDScopeError', captureError(() => new pULID(id.getTimestamp(), 1001, id.getEntropy()).toPrefixed(options)) instanceof pULIDScopeError);
+check('Separators with letters or digits are rejected', captureError(() => id.toPrefixed({ ...options, separator: 'x' })) instanceof pULIDError && captureError(() => id.toPrefixed({ ...options, separator: '' })) instanceof pULIDError);
+
+// Test 3: Parsing
+console.log('\n3. Parsing:');
+check('Prefixed ID round-trips', pULID.parsePrefixed(id.toPrefixed(options), options).equals(id));
+check('Lowercase ULID part is accepted', pULID.parsePrefixed(`usr_${ulid.toLowerCase()}`, options).equals(id));
+check('Custom separator round-trips', pULID.parsePrefixed(`usr::${ulid}`, { ...options, separator: '::' }).equals(id));
+const mismatch = captureError(() => pULID.parsePrefixed(`ord_${ulid}`, options));
+check('Prefix of another scope is rejected', mismatch instanceof pULIDParseError && mismatch.message.includes('expected "usr"'));
+const unprefixedScope = new pULID(id.getTimestamp(), 1001, id.getEntropy()).toString();
+check('Prefix on a scope without one is rejected', captureError(() => pULID.parsePrefixed(`usr_${unprefixedScope}`, options)).message.includes('no prefix'));
+check('Unknown prefix is rejected', captureError(() => pULID.parsePrefixed(`cus_${ulid}`, options)).message.includes('Unknown prefix'));
+check('Wrong separator is rejected', captureError(() => pULID.parsePrefixed(`usr-${ulid}`, options)) instanceof pULIDParseError);
+check('Empty prefix is rejected', captureError(() => pULID.parsePrefixed(`_${ulid}`, options)) instanceof pULIDParseError);
+check('Invalid ULID part is rejected', captureError(() => pULID.parsePrefixed('usr_01JJN1AD5B08VJ5SRBJAWCBWD!', options)) instanceof pULIDParseError);
+check('Non-strings are rejected', captureError(() => pULID.parsePrefixed(42, options)) instanceof pULIDParseError);
+
+// Test 4: Required prefix
+console.log('\n4. Required prefix:');
+check('Bare ULID is rejected by default', captureError(() => pULID.parsePrefixed(ulid, options)).message.includes('Missing prefix'));
+check('required: false accepts a bare ULID', pULID.parsePrefixed(ulid, { ...options, required: false }).equals(id));
+check('required: false still accepts and checks prefixed IDs', pULID.parsePrefixed(`usr_${ulid}`, { ...options, required: false }).equals(id) && captureError(() => pULID.parsePrefixed(`ord_${ulid}`, { ...options, required: false })) instanceof pULIDParseError);
+
+finish('Prefixed ID tests');
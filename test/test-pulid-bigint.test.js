@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+/**
+ * Test BigInt and hi/lo 64-bit conversions of pULID
+ */
+
+const { pULID, pULIDGenerator, SeededEntropySource, pULIDParseError } = require('../src');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing BigInt conversions');
+console.log('='.repeat(50));
+
+// Test 1: 128-bit value
+console.log('\n1. toBigInt / fromBigInt:');
+const id = pULID.parse('01JJN1AD5B08VJ5SRBJAWCBWDQ');
+const hex = id.toUUID().replace(/-/g, '');
+check('toBigInt() equals the big-endian byte value', id.toBigInt() === BigInt(`0x${hex}`));
+check('fromBigInt() round-trips', pULID.fromBigInt(id.toBigInt()).toString() === id.toString());
+check('Zero maps to timestamp 0 and scope 65535', pULID.fromBigInt(0n).getTimestamp() === 0 && pULID.fromBigInt(0n).getScope() === 65535);
+check('Top-of-range value is accepted', pULID.fromBigInt((1n << 128n) - 1n).toString() === '7ZZZZZZZZZZZZZZZZZZZZZZZZZ');
+
+// Test 2: hi/lo halves
+console.log('\n2. toHiLo / fromHiLo:');
+const { hi, lo } = id.toHiLo();
+check('hi holds timestamp and scope', hi === BigInt(`0x${hex.slice(0, 16)}`) && Number(hi >> 16n) === id.getTimestamp() && Number(hi & 0xffffn) === id.getScope());
+check('lo holds entropy', lo === BigInt(`0x${hex.slice(16)}`));
+check('Both halves are unsigned 64-bit', hi >= 0n && lo >= 0n && hi < (1n << 64n) && lo < (1n << 64n));
+check('fromHiLo() round-trips', pULID.fromHiLo(hi, lo).equals(id));
+
+// Test 3: Ordering is preserved
+console.log('\n3. Ordering:');
+const generator = new pULIDGenerator({ entropySource: new SeededEntropySource('bigint') });
+const ids = [];
+for (let i = 0; i < 200; i++) {
+  ids.push(generator.generate({ timestamp: 1738020304043 + (i % 4), scope: 1 + (i % 3) }));
+}
+const sign = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+check('BigInt comparison agrees with compare()', ids.slice(1).every((a, i) => sign(a.toBigInt(), ids[i].toBigInt()) === a.compare(ids[i])));
+check('Sorting by hi then lo agrees with pULID.sort()', ids.slice().sort((a, b) => {
+  const x = a.toHiLo();
+  const y = b.toHiLo();
+  return sign(x.hi, y.hi) || sign(x.lo, y.lo);
+}).map(String).join() === pULID.sort(ids).map(String).join());
+
+// Test 4: Invalid input
+console.log('\n4. Invalid input:');
+check('Negative value is rejected', captureError(() => pULID.fromBigInt(-1n)) instanceof pULIDParseError);
+check('Value wider than 128 bits is rejected', captureError(() => pULID.fromBigInt(1n << 128n)) instanceof pULIDParseError);
+check('Numbers are rejected', captureError(() => pULID.fromBigInt(42)) instanceof pULIDParseError);
+check('Negative half is rejected', captureError(() => pULID.fromHiLo(hi, -1n)) instanceof pULIDParseError);
+check('Half wider than 64 bits is rejected', captureError(() => pULID.fromHiLo(1n << 64n, lo)) instanceof pULIDParseError);
+
+finish('BigInt conversion tests');
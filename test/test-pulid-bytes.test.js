@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Test byte-level comparison, cached encodings and immutability of pULID
+ */
+
+const { pULID, pULIDGenerator, SeededEntropySource, pULIDError } = require('../src');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing pULID bytes and caching');
+console.log('='.repeat(50));
+
+const generator = new pULIDGenerator({ entropySource: new SeededEntropySource('bytes') });
+const ids = [];
+for (let i = 0; i < 500; i++) {
+  // Few distinct timestamps and scopes so ties fall through to later bytes
+  ids.push(generator.generate({ timestamp: 1738020304043 + (i % 3), scope: 1 + (i % 5) }));
+}
+
+// Test 1: Byte comparison agrees with string order
+console.log('\n1. Byte-level comparison:');
+const byBytes = pULID.sort(ids).map(String);
+const byStrings = ids.map(String).sort();
+check('pULID.sort() matches string sort', byBytes.join() === byStrings.join());
+check('compare() matches string comparison for every neighbour pair',
+  ids.slice(1).every((id, i) => id.compare(ids[i]) === (id.toString() < ids[i].toString() ? -1 : 1)));
+const copy = pULID.parse(ids[0].toString());
+check('Equal IDs compare as 0', copy.compare(ids[0]) === 0 && copy.equals(ids[0]));
+check('Scope 0 and 65535 compare equal', new pULID(1, 0, new Uint8Array(8)).equals(new pULID(1, 65535, new Uint8Array(8))));
+check('Comparing with a non-pULID throws', captureError(() => ids[0].compare({})) instanceof pULIDError);
+
+// Test 2: Cached encodings
+console.log('\n2. Cached encodings:');
+const id = ids[0];
+check('toString() returns the same string each call', id.toString() === id.toString());
+check('toUUID() is stable', id.toUUID() === id.toUUID() && pULID.fromUUID(id.toUUID()).equals(id));
+const bytes = id.toBytes();
+bytes.fill(0);
+check('toBytes() returns a copy', id.toBytes().some(byte => byte !== 0));
+check('Cached string survives caller mutation of toBytes()', pULID.parse(id.toString()).equals(id));
+
+// Test 3: Immutability
+console.log('\n3. Immutability:');
+check('Instances are frozen', Object.isFrozen(id));
+check('Fields cannot be reassigned', Reflect.set(id, 'timestamp', 0) === false && id.timestamp === 1738020304043);
+const entropy = new Uint8Array(8).fill(1);
+const fromEntropy = new pULID(1738020304043, 2, entropy);
+entropy.fill(9);
+check('Constructor copies its entropy', fromEntropy.getEntropy().every(byte => byte === 1));
+fromEntropy.entropy.fill(9);
+fromEntropy.getEntropy().fill(9);
+check('entropy and getEntropy() return copies', fromEntropy.entropy.every(byte => byte === 1));
+check('JSON output is unchanged', JSON.stringify(fromEntropy.toJSON().entropy) === '[1,1,1,1,1,1,1,1]' && fromEntropy.toJSON().ulid === fromEntropy.toString());
+
+finish('pULID bytes tests');
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Test time-range and scope-range boundary IDs
+ */
+
+const { pULID, pULIDGenerator, SeededEntropySource, pULIDTimestampError, pULIDScopeError } = require('../src');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing range boundaries');
+console.log('='.repeat(50));
+
+const t = Date.parse('2025-01-27T23:25:04.043Z');
+
+// Test 1: min and max
+console.log('\n1. min and max:');
+const low = pULID.min({ timestamp: t });
+const high = pULID.max({ timestamp: t });
+check('min() has zero entropy and the lowest scope', low.getTimestamp() === t && low.getScope() === 1 && low.getEntropy().every(byte => byte === 0));
+check('max() has full entropy and the highest scope', high.getTimestamp() === t && high.getScope() === 65535 && high.getEntropy().every(byte => byte === 255));
+check('Known vectors', low.toString() === '01JJN1AD5B000G000000000000' && high.toString() === '01JJN1AD5BZZZZZZZZZZZZZZZZ');
+check('Fixed scope is kept', pULID.min({ timestamp: t, scope: 567 }).getScope() === 567 && pULID.max({ timestamp: t, scope: 567 }).getScope() === 567);
+check('Dates and ISO strings are accepted', pULID.min({ timestamp: new Date(t) }).equals(low) && pULID.max({ timestamp: '2025-01-27T23:25:04.043Z' }).equals(high));
+
+const generator = new pULIDGenerator({ entropySource: new SeededEntropySource('range') });
+const sample = [];
+for (let i = 0; i < 300; i++) {
+  sample.push(generator.generate({ timestamp: t + (i % 5) - 2, scope: 1 + (i % 3) * 30000 }));
+}
+const atT = sample.filter(id => id.getTimestamp() === t);
+check('Every ID at the millisecond sorts within [min, max]', atT.every(id => id.compare(low) >= 0 && id.compare(high) <= 0));
+check('IDs at other milliseconds sort outside', sample.filter(id => id.getTimestamp() !== t).every(id => id.compare(low) < 0 || id.compare(high) > 0));
+const scoped = { min: pULID.min({ timestamp: t, scope: 30001 }), max: pULID.max({ timestamp: t, scope: 30001 }) };
+check('Scoped bounds at one millisecond select exactly that scope',
+  sample.every(id => (id.compare(scoped.min) >= 0 && id.compare(scoped.max) <= 0) === (id.getTimestamp() === t && id.getScope() === 30001)));
+
+// Test 2: range
+console.log('\n2. range:');
+const range = pULID.range(t - 1, t + 1);
+check('Bounds come in ULID, UUID and bytes form', range.min.ulid === pULID.min({ timestamp: t - 1 }).toString() &&
+  range.max.uuid === pULID.max({ timestamp: t + 1 }).toUUID() && range.min.bytes.length === 16);
+check('Unscoped range is exact', range.exact === true);
+const inRange = id => id.toString() >= range.min.ulid && id.toString() <= range.max.ulid;
+check('ULID bounds select the inclusive time range', sample.every(id => inRange(id) === (Math.abs(id.getTimestamp() - t) <= 1)));
+const uuidInRange = id => id.toUUID() >= range.min.uuid && id.toUUID() <= range.max.uuid;
+check('UUID bounds select the same IDs', sample.every(id => uuidInRange(id) === inRange(id)));
+const scopedRange = pULID.range(t - 1, t + 1, { scope: 30001 });
+check('Scoped range over several milliseconds is not exact', scopedRange.exact === false);
+const scopedHits = sample.filter(id => id.toString() >= scopedRange.min.ulid && id.toString() <= scopedRange.max.ulid);
+check('...and includes other scopes from the middle milliseconds', scopedHits.some(id => id.getScope() !== 30001 && id.getTimestamp() === t));
+check('...but still covers every matching ID', sample.filter(id => Math.abs(id.getTimestamp() - t) <= 1 && id.getScope() === 30001).every(id => scopedHits.includes(id)));
+check('Scoped range within one millisecond is exact', pULID.range(t, t, { scope: 30001 }).exact === true);
+
+// Test 3: Validation
+console.log('\n3. Validation:');
+check('Missing timestamp is rejected', captureError(() => pULID.min()) instanceof pULIDTimestampError);
+check('Unparseable date string is rejected', captureError(() => pULID.max({ timestamp: 'yesterday' })) instanceof pULIDTimestampError);
+check('Reversed range is rejected', captureError(() => pULID.range(t, t - 1)) instanceof pULIDTimestampError);
+check('Invalid scope is rejected', captureError(() => pULID.range(t, t, { scope: 70000 })) instanceof pULIDScopeError);
+
+finish('Range boundary tests');
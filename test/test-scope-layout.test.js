@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Test bit-partitioned scope layouts
+ */
+
+const { pULID, ScopeLayout, ScopeManager, pULIDScopeError, defaultGenerator } = require('../src');
+const { defaultScopeManager } = require('../src/scope');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing scope layouts');
+console.log('='.repeat(50));
+
+const layout = new ScopeLayout([
+  { name: 'region', bits: 4 },
+  { name: 'entity', bits: 12 }
+]);
+
+// Test 1: Compose and decompose
+console.log('\n1. Compose and decompose:');
+const scope = layout.compose({ region: 3, entity: 567 });
+check('Region occupies the high 4 bits', scope === (3 << 12) + 567);
+const fields = layout.decompose(scope);
+check('Decompose returns every field', fields.region === 3 && fields.entity === 567);
+check('Missing fields default to 0', layout.compose({ entity: 5 }) === 5);
+check('getField extracts one field', layout.getField(0xffff, 'region') === 15);
+
+// Test 2: Out-of-range values name the field
+console.log('\n2. Out-of-range values:');
+const regionError = captureError(() => layout.compose({ region: 16, entity: 1 }));
+check('Too-large region raises pULIDScopeError', regionError instanceof pULIDScopeError);
+check('Error names the field', regionError && regionError.message.includes('"region"'));
+const entityError = captureError(() => layout.compose({ region: 1, entity: -1 }));
+check('Negative entity names the field', entityError instanceof pULIDScopeError && entityError.message.includes('"entity"'));
+check('Unknown field is rejected', captureError(() => layout.compose({ tenant: 1 })) instanceof pULIDScopeError);
+check('All-zero scope is rejected', captureError(() => layout.compose({})) instanceof pULIDScopeError);
+
+// Test 3: Invalid layouts
+console.log('\n3. Invalid layouts:');
+check('More than 16 bits is rejected', captureError(() => new ScopeLayout([{ name: 'a', bits: 10 }, { name: 'b', bits: 7 }])) instanceof pULIDScopeError);
+check('Duplicate field names are rejected', captureError(() => new ScopeLayout([{ name: 'a', bits: 4 }, { name: 'a', bits: 4 }])) instanceof pULIDScopeError);
+check('Zero-width field is rejected', captureError(() => new ScopeLayout([{ name: 'a', bits: 0 }])) instanceof pULIDScopeError);
+
+// Test 4: pULID field accessors
+console.log('\n4. pULID field accessors:');
+const id = defaultGenerator.generate({ scope: layout.compose({ region: 9, entity: 1000 }) });
+const parsed = pULID.parse(id.toString());
+check('getScopeField with an explicit layout', parsed.getScopeField('region', layout) === 9);
+check('Accessor without a layout throws pULIDScopeError', captureError(() => parsed.getScopeField('region')) instanceof pULIDScopeError);
+
+defaultScopeManager.setLayout([{ name: 'region', bits: 4 }, { name: 'entity', bits: 12 }]);
+check('getScopeField uses the shared layout', parsed.getScopeField('region') === 9);
+check('getScopeFields decomposes the whole scope', parsed.getScopeFields().entity === 1000);
+
+// Test 5: Frozen managers keep their layout
+console.log('\n5. Frozen manager:');
+const frozen = new ScopeManager();
+frozen.setLayout(layout);
+frozen.freeze();
+check('setLayout throws once frozen', captureError(() => frozen.setLayout(null)) instanceof pULIDScopeError);
+check('Layout appears in scope info', frozen.getScopeInfo().layout.length === 2);
+
+finish('Scope layout tests');
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Test declarative scope manifest loading, export and freezing
+ */
+
+const { ScopeManager, pULIDScopeError } = require('../src');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing scope manifests');
+console.log('='.repeat(50));
+
+const manifestText = JSON.stringify({
+  scopes: [
+    { name: 'order', scope: 1000, description: 'Customer orders' },
+    { name: 'user', scope: 567, description: 'Registered users' },
+    { name: 'session', scope: 568 }
+  ]
+});
+
+// Test 1: Loading a valid manifest
+console.log('\n1. Loading a valid manifest:');
+const manager = new ScopeManager();
+manager.loadManifest(manifestText);
+check('Entities are registered', manager.getScopeForEntity('user') === 567 && manager.getEntityForScope(1000) === 'order');
+check('Registry is frozen after loading', manager.isFrozen());
+
+// Test 2: Frozen registry rejects changes
+console.log('\n2. Frozen registry:');
+check('register throws pULIDScopeError', captureError(() => manager.register('invoice', 2000)) instanceof pULIDScopeError);
+check('unregister throws pULIDScopeError', captureError(() => manager.unregister('user')) instanceof pULIDScopeError);
+check('Lookups still work', manager.getScopeForEntity('session') === 568);
+
+// Test 3: Export round-trip
+console.log('\n3. Export round-trip:');
+const exported = manager.exportManifest();
+check('Export is ordered by scope', exported.scopes.map(entry => entry.name).join(',') === 'user,session,order');
+check('Descriptions are kept', exported.scopes[0].description === 'Registered users' && !('description' in exported.scopes[1]));
+const reloaded = new ScopeManager().loadManifest(exported, { freeze: false });
+check('Exported manifest loads into a new registry', JSON.stringify(reloaded.exportManifest()) === JSON.stringify(exported));
+check('freeze option can be disabled', !reloaded.isFrozen());
+check('register rejects the scopes manifests reserve', [0, 65535].every(scope => captureError(() => new ScopeManager().register('sys', scope)) instanceof pULIDScopeError));
+
+// Test 4: Every conflict is reported
+console.log('\n4. Conflict reporting:');
+const broken = {
+  scopes: [
+    { name: 'user', scope: 567 },
+    { name: 'user', scope: 568 },
+    { name: 'customer', scope: 567 },
+    { name: 'reserved', scope: 0 },
+    { name: 'max', scope: 65535 },
+    { name: 'huge', scope: 70000 },
+    { name: '', scope: 10 }
+  ]
+};
+const problems = new ScopeManager().validateManifest(broken);
+check('All six problems are found', problems.length === 6);
+const brokenManager = new ScopeManager();
+const loadError = captureError(() => brokenManager.loadManifest(broken));
+check('loadManifest throws pULIDScopeError', loadError instanceof pULIDScopeError);
+check('Error message lists each problem', problems.every(problem => loadError.message.includes(problem)));
+check('Nothing is registered from an invalid manifest', brokenManager.listEntities().length === 0 && !brokenManager.isFrozen());
+check('Invalid JSON is reported', new ScopeManager().validateManifest('{').length === 1);
+
+// Test 5: Conflicts with existing registrations
+console.log('\n5. Existing registrations:');
+const existing = new ScopeManager();
+existing.register('user', 567);
+check('Name and scope conflicts with the registry are both reported', existing.validateManifest(manifestText).length === 2);
+
+finish('Scope manifest tests');
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Test the entity-name scope registry in ScopeManager
+ */
+
+const {
+  pULID,
+  pULIDGenerator,
+  ScopeManager,
+  pULIDScopeError,
+  createEntityGenerator,
+  registerEntity
+} = require('../src');
+const { check, finish } = require('./helpers');
+
+console.log('🧪 Testing entity scope registry');
+console.log('='.repeat(50));
+
+function throwsScopeError(fn) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return error instanceof pULIDScopeError;
+  }
+}
+
+// Test 1: Registration and lookups in both directions
+console.log('\n1. Registration and lookups:');
+const manager = new ScopeManager();
+manager.register('user', 567);
+manager.register('order', 1000);
+check('Name to scope', manager.getScopeForEntity('user') === 567);
+check('Scope to name', manager.getEntityForScope(1000) === 'order');
+check('Unregistered scope returns null', manager.getEntityForScope(42) === null);
+check('Unknown entity throws pULIDScopeError', throwsScopeError(() => manager.getScopeForEntity('invoice')));
+
+// Test 2: Duplicates are rejected
+console.log('\n2. Duplicate rejection:');
+check('Duplicate name is rejected', throwsScopeError(() => manager.register('user', 568)));
+check('Duplicate scope is rejected', throwsScopeError(() => manager.register('customer', 567)));
+check('Invalid scope is rejected', throwsScopeError(() => manager.register('huge', 70000)));
+check('Empty name is rejected', throwsScopeError(() => manager.register('', 5)));
+
+// Test 3: Listing and removal
+console.log('\n3. Listing and removal:');
+const listed = manager.listEntities();
+check('Lists entities ordered by scope', listed.length === 2 && listed[0].name === 'user' && listed[1].name === 'order');
+check('Unregister frees the name and scope', manager.unregister('order') && manager.getEntityForScope(1000) === null);
+check('Scope can be reused after unregister', manager.register('invoice', 1000) === 1000);
+
+// Test 4: Entity generation through generators and pULID
+console.log('\n4. Entity generation:');
+const generator = new pULIDGenerator({ scopeManager: manager });
+const userId = generator.generateForEntity('user');
+check('generateForEntity uses the registered scope', userId.getScope() === 567);
+check('getScopeName reports the entity name', userId.getScopeName(manager) === 'user');
+
+registerEntity('registry-test-account', 4321);
+const accountId = pULID.forEntity('registry-test-account');
+check('pULID.forEntity uses the shared registry', accountId.getScope() === 4321);
+check('Parsed pULID reports its entity name', pULID.parse(accountId.toString()).getScopeName() === 'registry-test-account');
+check('createEntityGenerator sets the default scope', createEntityGenerator('registry-test-account').generate().getScope() === 4321);
+check('Generators without a scopeManager see the shared registry', new pULIDGenerator().generateForEntity('registry-test-account').getScope() === 4321);
+const privateGenerator = new pULIDGenerator({ scopeManager: new ScopeManager() });
+check('A private ScopeManager does not see shared entities', privateGenerator.scopeManager.getEntityForScope(4321) === null);
+
+finish('Scope registry tests');
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Test request validators and their JSON Schema definitions
+ */
+
+const { pULID, pULIDGenerator, ScopeManager, SeededEntropySource, createValidator, pULIDValidator, pULIDError, pULIDScopeError, pULIDTimestampError } = require('../src');
+const { check, captureError, finish } = require('./helpers');
+
+console.log('🧪 Testing request validators');
+console.log('='.repeat(50));
+
+const ulid = '01JJN1AD5B08VJ5SRBJAWCBWDQ';
+const uuid = '0194aa15-34ab-0237-22e7-0b92b8c5f1b7';
+const id = pULID.parse(ulid);
+const created = id.getTimestamp();
+
+// Test 1: Input forms
+console.log('\n1. Input forms:');
+const any = createValidator();
+check('createValidator returns a pULIDValidator', any instanceof pULIDValidator);
+const fromUlid = any.validate(ulid);
+check('ULID is accepted by default', fromUlid.valid && fromUlid.value.equals(id) && fromUlid.errors.length === 0);
+check('UUID is accepted by default', any.validate(uuid).valid && any.validate(uuid).value.equals(id));
+check('Lowercase ULID and uppercase UUID are accepted', any.isValid(ulid.toLowerCase()) && any.isValid(uuid.toUpperCase()));
+const ulidOnly = createValidator({ accept: 'ulid' });
+const rejectedUuid = ulidOnly.validate(uuid);
+check('UUID rejected when only ULIDs are accepted', !rejectedUuid.valid && rejectedUuid.value === null && rejectedUuid.errors[0].code === 'form_not_accepted');
+check('Form reason names expected and actual forms', rejectedUuid.errors[0].expected === 'ulid' && rejectedUuid.errors[0].actual === 'uuid');
+check('ULID rejected when only UUIDs are accepted', createValidator({ accept: 'uuid' }).validate(ulid).errors[0].code === 'form_not_accepted');
+check('Non-strings are invalid_type', any.validate(42).errors[0].code === 'invalid_type' && any.validate(null).errors[0].actual === 'null');
+check('Malformed strings are invalid_format', any.validate('not-a-pulid').errors[0].code === 'invalid_format');
+check('Crockford aliases are not accepted', !any.isValid(ulid.replace('1', 'L')));
+check('Overflowing first character is invalid_format', any.validate('8' + ulid.slice(1)).errors[0].code === 'invalid_format');
+check('Unknown accept option is rejected', captureError(() => createValidator({ accept: 'hex' })) instanceof pULIDError);
+
+// Test 2: Scope and entity constraints
+console.log('\n2. Scope and entity constraints:');
+check('Allowed scope passes', createValidator({ scopes: [1, 567] }).isValid(ulid));
+const wrongScope = createValidator({ scopes: [1, 2] }).validate(ulid);
+check('Other scopes fail with scope_not_allowed', !wrongScope.valid && wrongScope.errors[0].code === 'scope_not_allowed');
+check('Scope reason lists expected and actual scopes', wrongScope.errors[0].expected.join() === '1,2' && wrongScope.errors[0].actual === 567);
+check('Scope 0 allows stored scope 65535', createValidator({ scopes: [0] }).isValid(pULID.max({ timestamp: created })));
+check('Invalid scope options are rejected', captureError(() => createValidator({ scopes: [70000] })) instanceof pULIDScopeError && captureError(() => createValidator({ scopes: 567 })) instanceof pULIDError);
+const manager = new ScopeManager();
+manager.register('order', 567);
+manager.register('user', 1);
+const orders = createValidator({ entity: 'order', scopeManager: manager });
+check('Entity constraint passes IDs of that entity', orders.isValid(ulid));
+const notOrder = createValidator({ entity: 'user', scopeManager: manager }).validate(ulid);
+check('Entity constraint names the entity', notOrder.errors[0].code === 'scope_not_allowed' && notOrder.errors[0].message.includes('entity user'));
+check('Several entities can be allowed', createValidator({ entity: ['user', 'order'], scopeManager: manager }).isValid(ulid));
+const late = createValidator({ entity: 'invoice', scopeManager: manager });
+manager.register('invoice', 900);
+check('Entities are resolved when validating', late.isValid(new pULID(created, 900, id.getEntropy())));
+check('Unregistered entity throws a pULIDScopeError', captureError(() => createValidator({ entity: 'missing', scopeManager: manager }).validate(ulid)) instanceof pULIDScopeError);
+
+// Test 3: Creation time constraints
+console.log('\n3. Creation time constraints:');
+check('Bounds are inclusive', createValidator({ minTime: created, maxTime: created }).isValid(ulid));
+const early = createValidator({ minTime: created + 1 }).validate(ulid);
+check('Too early fails with created_too_early', early.errors[0].code === 'created_too_early' && early.errors[0].actual === id.getTime().toISOString());
+const tooLate = createValidator({ maxTime: new Date(created - 1) }).validate(ulid);
+check('Too late fails with created_too_late', tooLate.errors[0].code === 'created_too_late' && tooLate.errors[0].expected === new Date(created - 1).toISOString());
+check('ISO strings are accepted as bounds', createValidator({ minTime: '2025-01-01T00:00:00Z' }).isValid(ulid));
+check('Invalid time bounds are rejected', captureError(() => createValidator({ minTime: 'yesterday' })) instanceof pULIDTimestampError);
+check('minTime after maxTime is rejected', captureError(() => createValidator({ minTime: 2, maxTime: 1 })) instanceof pULIDError);
+
+// Test 4: Structured reasons
+console.log('\n4. Structured reasons:');
+const strict = createValidator({ scopes: [1], maxTime: created - 1, field: 'orderId' });
+const failed = strict.validate(ulid);
+check('Every failing constraint is reported', failed.errors.map(error => error.code).join() === 'scope_not_allowed,created_too_late');
+check('Field name is copied into every reason', failed.errors.every(error => error.field === 'orderId'));
+check('Reasons have messages and serialize to JSON', failed.errors.every(error => typeof error.message === 'string') && JSON.parse(JSON.stringify(failed.errors)).length === 2);
+check('No field key without a field option', !('field' in any.validate(42).errors[0]));
+check('pULID instances skip the format checks', createValidator({ accept: 'uuid', scopes: [567] }).validate(id).valid);
+
+// Test 5: JSON Schema
+console.log('\n5. JSON Schema:');
+const schema = createValidator({ scopes: [567], minTime: created, field: 'orderId' }).toJSONSchema();
+check('Schema is a string with the pulid format', schema.type === 'string' && schema.format === 'pulid');
+check('Constraints are listed under x-pulid', schema['x-pulid'].accept === 'both' && schema['x-pulid'].scopes[0] === 567 && schema['x-pulid'].minTime === id.getTime().toISOString());
+const pattern = new RegExp(schema.pattern);
+check('Pattern matches allowed IDs in both forms and cases', pattern.test(ulid) && pattern.test(uuid) && pattern.test(ulid.toLowerCase()) && pattern.test(uuid.toUpperCase()));
+check('Pattern rejects other scopes', !pattern.test(new pULID(created, 566, id.getEntropy()).toString()) && !pattern.test(new pULID(created, 566, id.getEntropy()).toUUID()));
+check('ULID-only pattern rejects UUIDs', !new RegExp(createValidator({ accept: 'ulid' }).toJSONSchema().pattern).test(uuid));
+check('UUID-only pattern rejects ULIDs', !new RegExp(createValidator({ accept: 'uuid' }).toJSONSchema().pattern).test(ulid));
+check('Entity schemas resolve to scopes', orders.toJSONSchema()['x-pulid'].scopes[0] === 567 && orders.toJSONSchema()['x-pulid'].entity[0] === 'order');
+
+const generator = new pULIDGenerator({ entropySource: new SeededEntropySource('validator') });
+const allowedScopes = [1, 2, 567, 4096, 65534, 0];
+const scoped = createValidator({ scopes: allowedScopes });
+const scopedPattern = new RegExp(scoped.toJSONSchema().pattern);
+let agreements = 0;
+const samples = 400;
+for (let i = 0; i < samples; i++) {
+  const scope = i % 2 === 0 ? allowedScopes[i % allowedScopes.length] : (i * 163) % 65536;
+  const sample = generator.generate({ scope });
+  const expected = scoped.isValid(sample.toString());
+  if (scopedPattern.test(sample.toString()) === expected && scopedPattern.test(sample.toUUID()) === expected) {
+    agreements++;
+  }
+}
+check('Pattern agrees with the runtime validator across scopes', agreements === samples);
+
+finish('Validator tests');
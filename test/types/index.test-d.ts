@@ -0,0 +1,219 @@
+/**
+ * Type-level tests for the pULID declarations
+ * Compiled with `npm run test:types`; lines marked @ts-expect-error must fail to compile
+ */
+
+import pulidDefault, {
+  pulid,
+  pULID,
+  pULIDGenerator,
+  PulidString,
+  ScopeManager,
+  ScopeLayout,
+  pULIDError,
+  pULIDOverflowError,
+  createEntityGenerator,
+  loadScopeManifest,
+  GeneratorOptions,
+  SeededEntropySource,
+  EntropySource,
+  FakeTimestampGenerator,
+  stringsToPacked,
+  packedToStrings,
+  toArrowFixedSizeBinary,
+  codecs,
+  createValidator,
+  pULIDValidator,
+  PulidValidationIssue,
+  createParamParser,
+  createParamMiddleware,
+  createKoaParamMiddleware
+} from '../..';
+
+// Branded entity strings
+declare function loadUser(id: PulidString<'user'>): void;
+declare function loadOrder(id: PulidString<'order'>): void;
+
+const userId = pULID.forEntity('user');
+const orderId = pULID.forEntity('order');
+
+loadUser(userId.toString());
+loadOrder(orderId.toULID());
+
+// @ts-expect-error a user ID cannot be passed where an order ID is expected
+loadOrder(userId.toString());
+
+// @ts-expect-error a plain string carries no brand
+loadUser('01JJN1AD5B08VJ5SRBJAWCBWDQ');
+
+// Branded strings remain usable as strings
+const asString: string = userId.toString();
+const parsedUser = pULID.parse<'user'>(asString);
+loadUser(parsedUser.toString());
+
+// Instances carry the brand as well
+const users: pULID<'user'>[] = [userId];
+// @ts-expect-error an order pULID is not a user pULID
+users.push(orderId);
+
+// Validation narrows unknown input
+const input: unknown = '01JJN1AD5B08VJ5SRBJAWCBWDQ';
+if (pULID.isValid(input)) {
+  const narrowed: PulidString = input;
+  void narrowed;
+}
+
+// Generators and options
+const options: GeneratorOptions = { defaultScope: 567, monotonic: true };
+const generator = new pULIDGenerator(options);
+const generated: pULID = generator.generate({ timestamp: Date.now(), scope: 1000 });
+const timestamp: number = generated.getTimestamp();
+const ordered: -1 | 0 | 1 = generated.compare(userId);
+const entityGenerator: pULIDGenerator = createEntityGenerator('user');
+const fromDefault: string = pulidDefault({ scope: 2 }) + pulid();
+
+const seeded: EntropySource = new SeededEntropySource('fixtures');
+const clock = new FakeTimestampGenerator({ start: Date.UTC(2025, 0, 1), tick: 1 });
+clock.advance(1000);
+clock.set(new Date());
+const reproducible = new pULIDGenerator({
+  entropySource: seeded,
+  timestampGenerator: clock,
+  entropyPoolSize: 4096,
+  clockRegression: 'wait',
+  maxClockWait: 50,
+  onClockRegression: ({ previous, current, regression }) => void (previous - current - regression)
+});
+// @ts-expect-error unknown clock regression policy
+new pULIDGenerator({ clockRegression: 'panic' });
+// @ts-expect-error entropy sources must provide getRandomBytes
+new pULIDGenerator({ entropySource: { secure: true } });
+
+// @ts-expect-error scope must be a number
+generator.generate({ scope: 'user' });
+
+// Scope registry and layouts
+const manager = new ScopeManager().loadManifest({ scopes: [{ name: 'user', scope: 567 }] }, { freeze: false });
+const scopeName: string | null = manager.getEntityForScope(567);
+const shared: ScopeManager = loadScopeManifest('{"scopes":[]}');
+const layout = new ScopeLayout([{ name: 'region', bits: 4 }, { name: 'entity', bits: 12 }]);
+const region: number = generated.getScopeField('region', layout);
+
+// Explain breakdown
+const explanation = pULID.explain('01JJN1AD5B08VJ5SRBJAWCBWDQ', { now: Date.now() });
+const [timestampField, scopeField] = explanation.fields;
+const explainedDate: string = timestampField.date;
+const explainedEntity: string | null = scopeField.entity;
+
+// Integer conversions
+const { hi, lo } = generated.toHiLo();
+const roundTrip: pULID<'user'> = pULID.fromHiLo<'user'>(hi, lo);
+const wide: bigint = pULID.fromBigInt(generated.toBigInt()).toBigInt();
+// @ts-expect-error BigInt conversions do not accept numbers
+pULID.fromBigInt(42);
+
+// Alternative formats
+const short: string = generated.toFormat('base62');
+const fromShort: pULID = pULID.fromFormat('base62', short);
+// @ts-expect-error unknown format name
+generated.toFormat('base36');
+
+// Binary buffers
+const frame = new ArrayBuffer(64);
+const next: number = generator.generateInto(frame, 0);
+generated.writeTo(new DataView(frame), next);
+const fromFrame: pULID = pULID.readFrom(new Uint8Array(frame), 16);
+// @ts-expect-error plain arrays are not binary buffers
+pULID.readFrom([1, 2, 3]);
+
+// Packed batches
+const { packed, errors } = stringsToPacked(['01JJN1AD5B08VJ5SRBJAWCBWDQ', null]);
+const column = toArrowFixedSizeBinary(packed, errors);
+const uuids: string[] = packedToStrings(generator.generateBatchPacked(10), 'uuid');
+const firstFailure: number | undefined = errors[0]?.index;
+
+// Range boundaries
+const lowest: pULID = pULID.min({ timestamp: new Date(), scope: 567 });
+const bounds = pULID.range('2025-01-01T00:00:00Z', Date.now(), { scope: 567 });
+const lowerUUID: string = bounds.min.uuid;
+// @ts-expect-error a timestamp is required
+pULID.max({ scope: 567 });
+
+// Database codecs
+const stored: string = codecs.postgresUuid.encode(generated);
+const missing: null = codecs.text.encode(null);
+const fromRow: pULID = codecs.binary.decode(new ArrayBuffer(16));
+codecs.registerPostgresUuidParser({ setTypeParser: (oid: number, parser: (value: string) => unknown) => void [oid, parser] });
+// @ts-expect-error codecs only encode pULID instances
+codecs.text.encode('01JJN1AD5B08VJ5SRBJAWCBWDQ');
+
+// BSON and EJSON
+declare class Binary {
+  constructor(buffer: Uint8Array, subType?: number);
+  buffer: Uint8Array;
+  sub_type: number;
+  position: number;
+}
+const bsonValue: Binary = generated.toBSONBinary(Binary);
+const fromBson: pULID = pULID.fromBSONBinary(bsonValue);
+const base64: string = generated.toEJSON().$binary.base64;
+const fromEjson: pULID = pULID.fromEJSON({ $uuid: '0194aa15-34ab-0237-22e7-0b92b8c5f1b7' });
+
+// JSON modes and revival
+const apiGenerator = new pULIDGenerator({ json: 'ulid' });
+const serialized: string = JSON.stringify({ id: apiGenerator.generate() });
+const revived = JSON.parse(serialized, pULID.reviver(['id', 'items.*.id']));
+const parsedJson = pULID.parseJSON(serialized, ['id']);
+const fromJson: pULID = pULID.fromJSON({ uuid: '0194aa15-34ab-0237-22e7-0b92b8c5f1b7' });
+pULID.setJSONMode('uuid');
+// @ts-expect-error unknown JSON mode
+new pULIDGenerator({ json: 'xml' });
+
+// Request validation
+const orderIdValidator = createValidator({ accept: 'ulid', entity: 'order', minTime: '2025-01-01T00:00:00Z', field: 'orderId' });
+const checked = orderIdValidator.validate('01JJN1AD5B08VJ5SRBJAWCBWDQ');
+if (checked.valid) {
+  const validId: pULID = checked.value;
+  void validId;
+} else {
+  const reason: PulidValidationIssue = checked.errors[0];
+  void reason.code;
+}
+const schemaPattern: string = new pULIDValidator({ scopes: [567] }).toJSONSchema().pattern;
+// @ts-expect-error unknown input form
+createValidator({ accept: 'hex' });
+
+// Route parameter middleware
+const parseOrderId = createParamParser({ param: 'orderId', entity: 'order' });
+const parsedParam = parseOrderId('01JJN1AD5B08VJ5SRBJAWCBWDQ');
+const paramStatus: number = parsedParam.ok ? 200 : parsedParam.body.status;
+const expressMiddleware = createParamMiddleware({ normalize: 'ulid' });
+const koaMiddleware = createKoaParamMiddleware({ scopes: [567], mismatchStatus: 400 });
+// @ts-expect-error the field always comes from the parameter name
+createParamParser({ field: 'id' });
+
+// Prefixed string IDs
+const prefixed: string = generated.toPrefixed({ separator: '-' });
+const fromPrefixed: pULID<'user'> = pULID.parsePrefixed<'user'>('usr_01JJN1AD5B08VJ5SRBJAWCBWDQ', { required: false });
+const registeredPrefix: string | null = new ScopeManager().getPrefixForScope(567);
+// @ts-expect-error required is a boolean
+pULID.parsePrefixed('usr_01JJN1AD5B08VJ5SRBJAWCBWDQ', { required: 'yes' });
+
+// Check symbols
+const checked27: string = generated.toStringWithCheck();
+const fromChecked: pULID = pULID.parseWithCheck(checked27);
+// @ts-expect-error parseWithCheck takes a string
+pULID.parseWithCheck(generated);
+
+// Parse modes and normalization
+const canonicalOnly: pULID = pULID.parse('01JJN1AD5B08VJ5SRBJAWCBWDQ', { mode: 'strict' });
+const report = pULID.normalize(' 01jjn1ad5b-08vj5srb-jawcbwdq ');
+const firstChange: 'case' | 'alias' | 'separator' = report.substitutions[0].reason;
+// @ts-expect-error unknown parse mode
+pULID.parse('01JJN1AD5B08VJ5SRBJAWCBWDQ', { mode: 'loose' });
+
+// Error hierarchy
+const overflow: pULIDError = new pULIDOverflowError('exhausted');
+const message: string = overflow.message;
+
+void [reproducible, timestamp, ordered, entityGenerator, fromDefault, scopeName, shared, region, explainedDate, explainedEntity, roundTrip, wide, fromShort, fromFrame, column, uuids, firstFailure, lowest, lowerUUID, stored, missing, fromRow, fromBson, base64, fromEjson, revived, parsedJson, fromJson, schemaPattern, paramStatus, expressMiddleware, koaMiddleware, prefixed, fromPrefixed, registeredPrefix, fromChecked, canonicalOnly, firstChange, message];
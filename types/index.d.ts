@@ -0,0 +1,1062 @@
+/**
+ * pULID - Pixie ULID implementation for JavaScript
+ * TypeScript declarations for everything exported from src/index.js
+ */
+
+declare const pulidBrand: unique symbol;
+
+/**
+ * ULID string branded with the entity it identifies
+ * A PulidString<'user'> cannot be passed where a PulidString<'order'> is expected,
+ * but both remain assignable to string
+ */
+export type PulidString<Entity extends string = string> = string & { readonly [pulidBrand]: Entity };
+
+/**
+ * Options accepted by pulid(), generate() and the generator methods
+ */
+export interface GenerateOptions {
+  /** Custom timestamp in milliseconds (defaults to current time) */
+  timestamp?: number;
+  /** Scope value (defaults to the generator's default scope) */
+  scope?: number;
+  /** Custom 8-byte entropy (defaults to random generation) */
+  entropy?: Uint8Array;
+}
+
+/**
+ * Options accepted by the pULIDGenerator constructor
+ */
+export interface GeneratorOptions {
+  /** Default scope for generated pULIDs (defaults to 1) */
+  defaultScope?: number;
+  /** Whether to validate scopes (defaults to true) */
+  validateScope?: boolean;
+  /** Increment entropy for pULIDs sharing a millisecond and scope (defaults to false) */
+  monotonic?: boolean;
+  /** Custom entropy generator */
+  entropyGenerator?: EntropyGenerator;
+  /** Entropy source for the default entropy generator */
+  entropySource?: EntropySource;
+  /** Entropy pool size in bytes for the default entropy generator (multiple of 8, defaults to 0 = no pool) */
+  entropyPoolSize?: number;
+  /** Custom timestamp generator */
+  timestampGenerator?: TimestampGenerator;
+  /** Custom scope manager (defaults to the shared defaultScopeManager; pass a new ScopeManager for a private registry) */
+  scopeManager?: ScopeManager;
+  /** Policy when the clock goes backwards (defaults to 'ignore') */
+  clockRegression?: ClockRegressionPolicy;
+  /** Longest regression, in milliseconds, the wait policy will busy-wait for, blocking the thread (defaults to 10) */
+  maxClockWait?: number;
+  /** Called on every clock regression */
+  onClockRegression?: (event: ClockRegressionEvent) => void;
+  /** toJSON() mode for generated pULIDs (defaults to pULID.getJSONMode()) */
+  json?: PulidJSONMode;
+}
+
+/**
+ * Policy applied when the clock returns a timestamp earlier than the last one issued
+ */
+export type ClockRegressionPolicy = 'ignore' | 'throw' | 'reuse' | 'wait';
+
+/**
+ * Details passed to the onClockRegression callback
+ */
+export interface ClockRegressionEvent {
+  /** Latest timestamp issued before the regression */
+  previous: number;
+  /** Timestamp read from the clock */
+  current: number;
+  /** How far the clock moved backwards, in milliseconds */
+  regression: number;
+  policy: ClockRegressionPolicy;
+}
+
+/**
+ * Pluggable source of random bytes for EntropyGenerator
+ */
+export interface EntropySource {
+  /** Return `length` random bytes */
+  getRandomBytes(length: number): Uint8Array;
+  /** Whether the output is cryptographically secure; insecure sources are refused when NODE_ENV=production */
+  secure?: boolean;
+}
+
+/**
+ * Options accepted by the EntropyGenerator constructor
+ */
+export interface EntropyGeneratorOptions {
+  /** Entropy source (defaults to the platform CSPRNG) */
+  source?: EntropySource;
+  /** Bytes to fetch at once and hand out in 8-byte slices (multiple of 8, defaults to 0 = no pool) */
+  poolSize?: number;
+}
+
+/**
+ * Pool state returned by EntropyGenerator.prototype.getPoolInfo()
+ */
+export interface EntropyPoolInfo {
+  size: number;
+  available: number;
+}
+
+/**
+ * Shapes pULID.prototype.toJSON() can produce: ULID string, UUID string or PulidJSON object
+ */
+export type PulidJSONMode = 'ulid' | 'uuid' | 'object';
+
+/**
+ * Options accepted by the pULID constructor
+ */
+export interface PulidOptions {
+  /** toJSON() mode for this instance (defaults to pULID.getJSONMode()) */
+  json?: PulidJSONMode;
+}
+
+/**
+ * JSON representation returned by pULID.prototype.toJSON() in object mode
+ */
+export interface PulidJSON {
+  timestamp: number;
+  scope: number;
+  entropy: number[];
+  ulid: string;
+  uuid: string;
+  date: string;
+}
+
+/**
+ * Binary buffers pULIDs can be read from and written into:
+ * Node Buffer, Uint8Array or any other typed array, ArrayBuffer and DataView
+ */
+export type PulidBinaryBuffer = ArrayBuffer | SharedArrayBuffer | ArrayBufferView;
+
+/**
+ * Textual formats accepted by pULID.prototype.toFormat() and pULID.fromFormat()
+ */
+export type PulidFormat = 'base32' | 'uuid' | 'hex' | 'base58' | 'base62' | 'base64url';
+
+/**
+ * Format description returned by listFormats()
+ */
+export interface PulidFormatInfo {
+  name: PulidFormat;
+  /** Encoded length in characters */
+  length: number;
+  /** Whether string order matches byte order */
+  sortable: boolean;
+}
+
+/**
+ * Failure to parse one entry in stringsToPacked()
+ */
+export interface PackedParseError {
+  index: number;
+  input: unknown;
+  message: string;
+}
+
+/**
+ * Result of stringsToPacked(); failed entries are left as 16 zero bytes
+ */
+export interface PackedParseResult {
+  packed: Uint8Array;
+  errors: PackedParseError[];
+}
+
+/**
+ * Column description for apache-arrow's makeData() with type new FixedSizeBinary(16)
+ */
+export interface ArrowFixedSizeBinaryColumn {
+  byteWidth: 16;
+  length: number;
+  nullCount: number;
+  /** LSB-first validity bitmap, or null when every entry is valid */
+  nullBitmap: Uint8Array | null;
+  data: Uint8Array;
+}
+
+/**
+ * Options for pULID.min() and pULID.max()
+ */
+export interface BoundaryOptions {
+  /** Millisecond timestamp, Date or ISO string */
+  timestamp: number | Date | string;
+  /** Fixed scope; without it the bound spans every scope */
+  scope?: number;
+}
+
+/**
+ * One bound returned by pULID.range()
+ */
+export interface PulidBound {
+  ulid: string;
+  uuid: string;
+  bytes: Uint8Array;
+}
+
+/**
+ * Inclusive bounds returned by pULID.range()
+ */
+export interface PulidRange {
+  min: PulidBound;
+  max: PulidBound;
+  /** True when every ID between the bounds matches the requested scope and time range */
+  exact: boolean;
+}
+
+/**
+ * Converts between pULIDs and one database column type's driver values
+ * SQL NULL (null or undefined) passes through as null
+ */
+export interface PulidCodec<Stored, Accepted = Stored> {
+  readonly name: string;
+  readonly columnType: string;
+  /** Whether the database's native comparison of the column keeps time order */
+  readonly ordered: boolean;
+  encode(id: pULID): Stored;
+  encode(id: null | undefined): null;
+  encode(id: pULID | null | undefined): Stored | null;
+  decode(value: Accepted): pULID;
+  decode(value: null | undefined): null;
+  decode(value: Accepted | null | undefined): pULID | null;
+}
+
+/**
+ * Plain BSON Binary shape returned by toBSONBinary() without a Binary class,
+ * and the minimum fromBSONBinary() accepts (bson Binary instances match it)
+ */
+export interface BSONBinaryLike {
+  buffer: PulidBinaryBuffer;
+  sub_type?: number;
+  subType?: number;
+  /** Used length when the buffer is over-allocated (bson Binary) */
+  position?: number;
+}
+
+/**
+ * Canonical Extended JSON v2 form of a UUID Binary
+ */
+export interface PulidEJSON {
+  $binary: {
+    base64: string;
+    subType: '04';
+  };
+}
+
+/**
+ * Options for createValidator() and the pULIDValidator constructor
+ */
+export interface ValidatorOptions {
+  /** Accepted input forms (default both) */
+  accept?: 'ulid' | 'uuid' | 'both';
+  /** Allowed scopes */
+  scopes?: number[];
+  /** Allowed entity names, resolved through the scope registry on each use */
+  entity?: string | string[];
+  /** Earliest allowed creation time, inclusive */
+  minTime?: number | Date | string;
+  /** Latest allowed creation time, inclusive */
+  maxTime?: number | Date | string;
+  /** Field name copied into every failure reason */
+  field?: string;
+  /** Registry for entity names (defaults to the shared one) */
+  scopeManager?: ScopeManager;
+}
+
+/** Failure codes reported by pULIDValidator.prototype.validate() */
+export type PulidValidationCode =
+  | 'invalid_type'
+  | 'form_not_accepted'
+  | 'invalid_format'
+  | 'scope_not_allowed'
+  | 'created_too_early'
+  | 'created_too_late';
+
+/**
+ * One failure reason reported by pULIDValidator.prototype.validate()
+ */
+export interface PulidValidationIssue {
+  code: PulidValidationCode;
+  message: string;
+  field?: string;
+  expected?: unknown;
+  actual?: unknown;
+}
+
+/**
+ * Result of pULIDValidator.prototype.validate()
+ */
+export type PulidValidationResult =
+  | { valid: true; value: pULID; errors: [] }
+  | { valid: false; value: null; errors: PulidValidationIssue[] };
+
+/**
+ * JSON Schema string definition returned by pULIDValidator.prototype.toJSONSchema()
+ */
+export interface PulidJSONSchema {
+  type: 'string';
+  format: 'pulid';
+  pattern: string;
+  description: string;
+  /** Constraints, including the time bounds a pattern cannot express */
+  'x-pulid': {
+    accept: 'ulid' | 'uuid' | 'both';
+    entity?: string[];
+    scopes?: number[];
+    minTime?: string;
+    maxTime?: string;
+  };
+}
+
+/**
+ * Options for the route parameter parser and middleware
+ */
+export interface ParamOptions extends Omit<ValidatorOptions, 'field'> {
+  /** Route parameter name (default id) */
+  param?: string;
+  /** Status for well-formed IDs that fail a scope or time constraint (default 404) */
+  mismatchStatus?: number;
+  /** Rewrite the parameter to its canonical ulid or uuid string */
+  normalize?: 'ulid' | 'uuid';
+  /** Request (Express) or ctx.state (Koa) property holding parsed IDs (default pulids) */
+  property?: string;
+}
+
+/**
+ * JSON body of a failed route parameter check
+ */
+export interface ParamErrorBody {
+  status: number;
+  error: string;
+  message: string;
+  errors: PulidValidationIssue[];
+}
+
+/** Request shape read by createParamMiddleware() (Express, Connect or plain Node) */
+export interface ParamRequest {
+  params?: Record<string, string>;
+}
+
+/** Response shape written by createParamMiddleware(): Express status()/json(), or plain Node */
+export interface ParamResponse {
+  status?(code: number): { json(body: unknown): unknown };
+  json?(body: unknown): unknown;
+  statusCode?: number;
+  setHeader?(name: string, value: string): unknown;
+  end?(chunk: string): unknown;
+}
+
+/** Context shape used by createKoaParamMiddleware() (params come from the router) */
+export interface ParamContext {
+  params?: Record<string, string>;
+  status?: number;
+  body?: unknown;
+  state?: Record<string, unknown>;
+}
+
+/**
+ * Result of a route parameter parser
+ */
+export type ParamParseResult =
+  | { ok: true; value: pULID; normalized: string }
+  | { ok: false; status: number; body: ParamErrorBody };
+
+/**
+ * Two unsigned 64-bit halves returned by pULID.prototype.toHiLo()
+ */
+export interface PulidHiLo {
+  /** High 64 bits: timestamp and scope */
+  hi: bigint;
+  /** Low 64 bits: entropy */
+  lo: bigint;
+}
+
+/**
+ * Generator configuration returned by pULIDGenerator.prototype.getConfig()
+ */
+export interface GeneratorConfig {
+  defaultScope: number;
+  originalScope: number;
+  validateScope: boolean;
+  monotonic: boolean;
+  json: PulidJSONMode;
+  clockRegression: ClockRegressionPolicy;
+  maxClockWait: number;
+  scopeInfo: ScopeInfo;
+  timestampInfo: TimestampInfo;
+}
+
+/**
+ * Scope range and registry summary returned by ScopeManager.prototype.getScopeInfo()
+ */
+export interface ScopeInfo {
+  min: number;
+  max: number;
+  protected: number[];
+  available: number;
+  entities: number;
+  layout: ScopeLayoutField[] | null;
+  frozen: boolean;
+}
+
+/**
+ * Timestamp range summary returned by TimestampGenerator.prototype.getTimestampInfo()
+ */
+export interface TimestampInfo {
+  min: number;
+  max: number;
+  maxDate: Date;
+  current: number;
+  currentDate: Date;
+}
+
+/**
+ * Registered entity as listed by the scope registry
+ */
+export interface ScopeEntity {
+  name: string;
+  scope: number;
+  description?: string;
+  /** String ID prefix, e.g. "usr" */
+  prefix?: string;
+}
+
+/**
+ * Options for pULID.prototype.toPrefixed()
+ */
+export interface PrefixOptions {
+  /** Separator between prefix and ULID, without letters or digits (default "_") */
+  separator?: string;
+  /** Registry holding the prefixes (defaults to the shared one) */
+  scopeManager?: ScopeManager;
+}
+
+/**
+ * Options for pULID.parse() and pULID.isValid()
+ */
+export interface ParseOptions {
+  /** lenient (default): either case, I/L as 1, O as 0; strict: canonical uppercase only */
+  mode?: 'lenient' | 'strict';
+}
+
+/**
+ * One change made by pULID.normalize()
+ */
+export interface PulidSubstitution {
+  /** Index in the input string */
+  index: number;
+  from: string;
+  /** Canonical character, or "" for a removed separator */
+  to: string;
+  reason: 'case' | 'alias' | 'separator';
+}
+
+/**
+ * Result of pULID.normalize()
+ */
+export interface PulidNormalization {
+  /** Canonical 26-character ULID */
+  normalized: string;
+  substitutions: PulidSubstitution[];
+}
+
+/**
+ * Options for pULID.parsePrefixed()
+ */
+export interface ParsePrefixedOptions extends PrefixOptions, ParseOptions {
+  /** Reject bare ULIDs (default true); false accepts either form */
+  required?: boolean;
+}
+
+/**
+ * Scope manifest format shared with other services
+ */
+export interface ScopeManifest {
+  scopes: ScopeEntity[];
+}
+
+/**
+ * Options accepted by ScopeManager.prototype.loadManifest()
+ */
+export interface LoadManifestOptions {
+  /** Freeze the registry after loading (defaults to true) */
+  freeze?: boolean;
+}
+
+/**
+ * Field definition of a ScopeLayout
+ */
+export interface ScopeLayoutField {
+  name: string;
+  bits: number;
+}
+
+/**
+ * Resolved field of a ScopeLayout, including its position in the scope
+ */
+export interface ScopeLayoutFieldInfo extends ScopeLayoutField {
+  shift: number;
+  max: number;
+}
+
+/**
+ * Options accepted by pULID.explain()
+ */
+export interface ExplainOptions {
+  /** Reference time for the future-timestamp warning (defaults to Date.now()) */
+  now?: number;
+  /** Scope manager used to name the scope (defaults to the shared registry) */
+  scopeManager?: ScopeManager;
+}
+
+/**
+ * Half-open index range [start, end)
+ */
+export interface IndexRange {
+  start: number;
+  end: number;
+}
+
+/**
+ * Location, raw bits and decoded value of one pULID field
+ */
+export interface ExplainedField<Name extends string, Value> {
+  name: Name;
+  /** Byte range within the 16 canonical bytes */
+  bytes: IndexRange;
+  /** Character range within the 26-character ULID */
+  chars: IndexRange;
+  /** ULID characters that also hold bits of a neighbouring field */
+  sharedChars: number[];
+  /** Character range within the 36-character UUID */
+  uuidChars: IndexRange;
+  bits: string;
+  hex: string;
+  value: Value;
+  warnings: string[];
+}
+
+/**
+ * Structured breakdown returned by pULID.explain()
+ */
+export interface PulidExplanation {
+  input: string;
+  form: 'ulid' | 'uuid';
+  ulid: string;
+  uuid: string;
+  fields: [
+    ExplainedField<'timestamp', number> & { date: string },
+    ExplainedField<'scope', number> & { entity: string | null; layout: Record<string, number> | null },
+    ExplainedField<'entropy', string>
+  ];
+  /** Every warning, with the field it belongs to or null for input-level warnings */
+  warnings: Array<{ field: 'timestamp' | 'scope' | 'entropy' | null; message: string }>;
+}
+
+/**
+ * Results returned by test()
+ */
+export interface SelfTestResults {
+  entropy: boolean;
+  parsing: boolean;
+  uuid: boolean;
+  overall: boolean;
+  error?: string;
+}
+
+/**
+ * pULID class representing a Pixie ULID identifier
+ * Structure: 6 bytes timestamp + 2 bytes scope + 8 bytes entropy = 16 bytes total
+ */
+export class pULID<Entity extends string = string> {
+  #private;
+  constructor(timestamp: number, scope: number, entropy: Uint8Array, options?: PulidOptions);
+
+  readonly timestamp: number;
+  readonly scope: number;
+  /** Copy of the 8 entropy bytes */
+  readonly entropy: Uint8Array;
+
+  toString(): PulidString<Entity>;
+  toULID(): PulidString<Entity>;
+  /** ULID followed by a Crockford check symbol (27 characters) */
+  toStringWithCheck(): string;
+  /** Prefixed string ID such as usr_01JJN1AD5B08VJ5SRBJAWCBWDQ */
+  toPrefixed(options?: PrefixOptions): string;
+  toUUID(): string;
+  toBytes(): Uint8Array;
+  toFormat(name: PulidFormat): string;
+  /** Write the 16 bytes at an offset; returns offset + 16 */
+  writeTo(buffer: PulidBinaryBuffer, offset?: number): number;
+  getTime(): Date;
+  getTimestamp(): number;
+  getScope(): number;
+  getScopeName(scopeManager?: ScopeManager): string | null;
+  getScopeField(name: string, layout?: ScopeLayout): number;
+  getScopeFields(layout?: ScopeLayout): Record<string, number>;
+  getEntropy(): Uint8Array;
+  compare(other: pULID): -1 | 0 | 1;
+  equals(other: pULID): boolean;
+  /** BSON Binary subtype 4; pass require('bson').Binary to get a real instance */
+  toBSONBinary(): BSONBinaryLike & { buffer: Uint8Array; sub_type: 4 };
+  toBSONBinary<T>(Binary: new (buffer: Uint8Array, subType: number) => T): T;
+  /** Canonical Extended JSON v2 ({"$binary": {"base64", "subType": "04"}}) */
+  toEJSON(): PulidEJSON;
+  /** Unsigned 128-bit value; BigInt order matches compare() order */
+  toBigInt(): bigint;
+  /** Two unsigned 64-bit halves: hi holds timestamp and scope, lo holds entropy */
+  toHiLo(): PulidHiLo;
+  /** ULID string, UUID string or PulidJSON object, depending on the JSON mode */
+  toJSON(): PulidJSON | string;
+
+  static generate(options?: GenerateOptions): pULID;
+  static parse<Entity extends string = string>(string: string, options?: ParseOptions): pULID<Entity>;
+  /** Rewrite a human-entered ULID to canonical form, also removing whitespace and hyphens */
+  static normalize(string: string): PulidNormalization;
+  /** Parse a ULID followed by a Crockford check symbol, verifying the symbol */
+  static parseWithCheck<Entity extends string = string>(string: string): pULID<Entity>;
+  /** Parse a prefixed string ID, checking the prefix against the encoded scope */
+  static parsePrefixed<Entity extends string = string>(string: string, options?: ParsePrefixedOptions): pULID<Entity>;
+  static fromBytes<Entity extends string = string>(bytes: Uint8Array | ArrayLike<number>): pULID<Entity>;
+  static fromUUID<Entity extends string = string>(uuid: string): pULID<Entity>;
+  static readFrom<Entity extends string = string>(buffer: PulidBinaryBuffer, offset?: number): pULID<Entity>;
+  static fromFormat<Entity extends string = string>(name: PulidFormat, string: string): pULID<Entity>;
+  /** Accepts any shape toJSON() produces */
+  static fromJSON<Entity extends string = string>(value: string | Partial<PulidJSON>): pULID<Entity>;
+  /** JSON.parse reviver for pULIDs at dot-separated key paths ("*" matches any key or index) */
+  static reviver(paths: readonly string[]): (this: unknown, key: string, value: unknown) => unknown;
+  /** JSON.parse followed by pULID revival at dot-separated key paths, walked from the real top-level value */
+  static parseJSON(text: string, paths: readonly string[]): any;
+  static setJSONMode(mode: PulidJSONMode): void;
+  static getJSONMode(): PulidJSONMode;
+  static fromBSONBinary<Entity extends string = string>(binary: BSONBinaryLike): pULID<Entity>;
+  static fromEJSON<Entity extends string = string>(ejson: PulidEJSON | { $uuid: string } | string): pULID<Entity>;
+  static fromBigInt<Entity extends string = string>(value: bigint): pULID<Entity>;
+  static fromHiLo<Entity extends string = string>(hi: bigint, lo: bigint): pULID<Entity>;
+  static isValid(string: unknown, options?: ParseOptions): string is PulidString;
+  static explain(input: string, options?: ExplainOptions): PulidExplanation;
+  static forEntity<Entity extends string>(entityType: Entity, options?: GenerateOptions): pULID<Entity>;
+  static generateBatch(count: number, options?: GenerateOptions): pULID[];
+  /** Lowest possible pULID for a millisecond, optionally within one scope */
+  static min(options: BoundaryOptions): pULID;
+  /** Highest possible pULID for a millisecond, optionally within one scope */
+  static max(options: BoundaryOptions): pULID;
+  /** Inclusive bounds covering every pULID from one millisecond to another */
+  static range(from: number | Date | string, to: number | Date | string, options?: { scope?: number }): PulidRange;
+  static sort<T extends pULID>(pulids: readonly T[]): T[];
+}
+
+/**
+ * pULID Generator class for controlled generation
+ */
+export class pULIDGenerator {
+  constructor(options?: GeneratorOptions);
+
+  defaultScope: number;
+  validateScope: boolean;
+  monotonic: boolean;
+  clockRegression: ClockRegressionPolicy;
+  maxClockWait: number;
+  onClockRegression: ((event: ClockRegressionEvent) => void) | null;
+  json: PulidJSONMode | null;
+  lastTimestamp: number | null;
+  entropyGenerator: EntropyGenerator;
+  timestampGenerator: TimestampGenerator;
+  scopeManager: ScopeManager;
+
+  generate(options?: GenerateOptions): pULID;
+  /** Write a new pULID at an offset without creating an instance; returns offset + 16 */
+  generateInto(buffer: PulidBinaryBuffer, offset?: number, options?: GenerateOptions): number;
+  generateString(options?: GenerateOptions): PulidString;
+  generateUUID(options?: GenerateOptions): string;
+  generateBatch(count: number, options?: GenerateOptions): pULID[];
+  generateBatchStrings(count: number, options?: GenerateOptions): PulidString[];
+  /** Generate count pULIDs into one buffer of count×16 bytes */
+  generateBatchPacked(count: number, options?: GenerateOptions): Uint8Array;
+  generateForEntity<Entity extends string>(entityType: Entity, options?: GenerateOptions): pULID<Entity>;
+  generateAt(timestamp: number | Date | string, options?: GenerateOptions): pULID;
+  setDefaultScope(scope: number): void;
+  getDefaultScope(): number;
+  getConfig(): GeneratorConfig;
+}
+
+/**
+ * Cross-platform entropy generator
+ */
+export class EntropyGenerator {
+  constructor(options?: EntropyGeneratorOptions);
+
+  readonly source: EntropySource | null;
+  readonly poolSize: number;
+  getRandomBytes: (length: number) => Uint8Array;
+
+  generate(): Uint8Array;
+  /** Write 8 bytes of entropy at an offset */
+  generateInto(target: Uint8Array, offset?: number): void;
+  generateBatch(count: number): Uint8Array[];
+  setPoolSize(size: number): void;
+  getPoolInfo(): EntropyPoolInfo;
+  /** Zero and drop any pooled bytes that have not been handed out */
+  wipePool(): void;
+  test(): boolean;
+}
+
+/**
+ * Entropy source backed by the platform CSPRNG
+ */
+export class CryptoEntropySource implements EntropySource {
+  constructor();
+
+  readonly secure: true;
+  getRandomBytes(length: number): Uint8Array;
+}
+
+/**
+ * Deterministic entropy source for reproducible test runs and fixtures
+ * NOT cryptographically secure; refused when NODE_ENV=production
+ */
+export class SeededEntropySource implements EntropySource {
+  constructor(seed: number | string);
+
+  readonly secure: false;
+  readonly seed: number | string;
+
+  /** Restart the sequence from the seed */
+  reset(): void;
+  getRandomBytes(length: number): Uint8Array;
+}
+
+/**
+ * Timestamp generator and handler for pULID
+ */
+export class TimestampGenerator {
+  constructor();
+
+  readonly MAX_TIMESTAMP: number;
+  readonly MIN_TIMESTAMP: number;
+
+  generate(): number;
+  /** Read the clock without side effects */
+  now(): number;
+  validate(timestamp: number): true;
+  isValid(timestamp: number): boolean;
+  timestampToBytes(timestamp: number): Uint8Array;
+  bytesToTimestamp(bytes: Uint8Array): number;
+  timestampToDate(timestamp: number): Date;
+  dateToTimestamp(date: Date): number;
+  getTimestampInfo(): TimestampInfo;
+  timestampFor(date: string | Date): number;
+  isFuture(timestamp: number): boolean;
+  isPast(timestamp: number): boolean;
+}
+
+/**
+ * Options accepted by the FakeTimestampGenerator constructor
+ */
+export interface FakeTimestampGeneratorOptions {
+  /** Initial time in milliseconds (defaults to 0) */
+  start?: number;
+  /** Milliseconds to advance after each generate() call (defaults to 0) */
+  tick?: number;
+}
+
+/**
+ * Controllable clock for tests
+ */
+export class FakeTimestampGenerator extends TimestampGenerator {
+  constructor(options?: FakeTimestampGeneratorOptions);
+
+  tick: number;
+  readonly current: number;
+
+  set(timestamp: number | Date): number;
+  advance(ms: number): number;
+}
+
+/**
+ * Scope manager class for pULID scope validation and the entity registry
+ */
+export class ScopeManager {
+  constructor();
+
+  readonly PROTECTED_SCOPES: number[];
+  readonly MIN_SCOPE: number;
+  readonly MAX_SCOPE: number;
+
+  /** Returns MAX_SCOPE for scope 0, true for any other valid scope */
+  validate(scope: number): true | number;
+  isValid(scope: number): boolean | number;
+  scopeToBytes(scope: number): Uint8Array;
+  bytesToScope(bytes: Uint8Array): number;
+  register(name: string, scope: number, description?: string, prefix?: string): number;
+  unregister(name: string): boolean;
+  getScopeForEntity(name: string): number;
+  getEntityForScope(scope: number): string | null;
+  getPrefixForScope(scope: number): string | null;
+  getScopeForPrefix(prefix: string): number | null;
+  hasEntity(name: string): boolean;
+  listEntities(): ScopeEntity[];
+  validateManifest(manifest: ScopeManifest | string): string[];
+  loadManifest(manifest: ScopeManifest | string, options?: LoadManifestOptions): this;
+  exportManifest(): ScopeManifest;
+  setLayout(layout: ScopeLayout | ScopeLayoutField[] | null): ScopeLayout | null;
+  getLayout(): ScopeLayout | null;
+  freeze(): this;
+  isFrozen(): boolean;
+  getScopeInfo(): ScopeInfo;
+}
+
+/**
+ * Named bit fields packed into a 16-bit scope value, most significant first
+ */
+export class ScopeLayout {
+  constructor(fields: ScopeLayoutField[]);
+
+  readonly fields: ReadonlyArray<Readonly<ScopeLayoutFieldInfo>>;
+  readonly totalBits: number;
+
+  compose(values: Record<string, number>): number;
+  decompose(scope: number): Record<string, number>;
+  getField(scope: number, name: string): number;
+  getFieldInfo(name: string): Readonly<ScopeLayoutFieldInfo>;
+  toJSON(): ScopeLayoutField[];
+}
+
+/**
+ * UUID utility class for pULID compatibility
+ */
+export class UUIDConverter {
+  constructor();
+
+  readonly UUID_REGEX: RegExp;
+  readonly UUID_LENGTH: number;
+  readonly HEX_LENGTH: number;
+
+  validate(uuid: string): true;
+  isValid(uuid: string): boolean;
+  formatAsUUID(bytes: Uint8Array): string;
+  uuidToBytes(uuid: string): Uint8Array;
+  extractTimestamp(uuid: string): number;
+  /** Returns 0 when the UUID holds MAX_SCOPE */
+  extractScope(uuid: string): number;
+  extractEntropy(uuid: string): Uint8Array;
+  createUUID(timestamp: number, scope: number, entropy: Uint8Array): string;
+  generateRandomUUID(): string;
+  compare(uuid1: string, uuid2: string): -1 | 0 | 1;
+}
+
+/**
+ * Validator for pULIDs in request input
+ */
+export class pULIDValidator {
+  constructor(options?: ValidatorOptions);
+
+  readonly accept: 'ulid' | 'uuid' | 'both';
+  readonly scopes: number[] | null;
+  readonly entities: string[] | null;
+  readonly minTime: number | null;
+  readonly maxTime: number | null;
+  readonly field: string | null;
+  readonly scopeManager: ScopeManager;
+
+  /** Validate a string (or check a pULID's constraints), collecting every failure */
+  validate(input: unknown): PulidValidationResult;
+  isValid(input: unknown): boolean;
+  toJSONSchema(): PulidJSONSchema;
+}
+
+/** Base pULID error class */
+export class pULIDError extends Error {
+  constructor(message: string);
+}
+
+/** Error thrown when parsing a pULID string fails */
+export class pULIDParseError extends pULIDError {}
+
+/** Error thrown when an invalid scope value is used */
+export class pULIDScopeError extends pULIDError {}
+
+/** Error thrown when timestamp operations fail */
+export class pULIDTimestampError extends pULIDError {}
+
+/** Error thrown when UUID conversion operations fail */
+export class pULIDUUIDError extends pULIDError {}
+
+/** Error thrown when entropy generation fails */
+export class pULIDEntropyError extends pULIDError {}
+
+/** Error thrown when monotonic entropy cannot be incremented any further */
+export class pULIDOverflowError extends pULIDError {}
+
+/** Generate a pULID string (ULID format) using the default generator */
+export function pulid(options?: GenerateOptions): PulidString;
+
+/** Generate a pULID instance using the default generator */
+export function generate(options?: GenerateOptions): pULID;
+
+/** Parse a pULID from string */
+export function parse<Entity extends string = string>(string: string, options?: ParseOptions): pULID<Entity>;
+
+/** Validate a pULID string */
+export function isValid(string: unknown, options?: ParseOptions): string is PulidString;
+
+/** Compare two pULID strings lexicographically */
+export function compare(pulid1: string, pulid2: string): number;
+
+/** Create a scoped generator */
+export function scopedGenerator(scope: number, options?: GeneratorOptions): pULIDGenerator;
+
+/** Test the pULID implementation */
+export function test(): SelfTestResults;
+
+/** Create a generator for a specific scope */
+export function createScopedGenerator(scope: number, options?: GeneratorOptions): pULIDGenerator;
+
+/** Create a generator whose default scope is the one registered for an entity */
+export function createEntityGenerator(entityType: string, options?: GeneratorOptions): pULIDGenerator;
+
+/** Default pULID generator instance */
+export const defaultGenerator: pULIDGenerator;
+
+/** Create a validator for pULIDs in request input */
+export function createValidator(options?: ValidatorOptions): pULIDValidator;
+
+/** Create a framework-agnostic parser for one route parameter */
+export function createParamParser(options?: ParamOptions): (value: unknown) => ParamParseResult;
+
+/** Create Express/Connect middleware that parses a route parameter into req[property][param] */
+export function createParamMiddleware(options?: ParamOptions): (req: ParamRequest, res: ParamResponse, next: (error?: unknown) => void) => void;
+
+/** Create Koa middleware that parses a route parameter into ctx.state[property][param] */
+export function createKoaParamMiddleware(options?: ParamOptions): (ctx: ParamContext, next: () => Promise<unknown>) => Promise<void>;
+
+/** Encode 16 bytes to a 26-character Crockford Base32 string */
+export function encodeBase32(id: Uint8Array | ArrayLike<number>): string;
+
+/** Decode a 26-character Crockford Base32 string to 16 bytes */
+export function decodeBase32(str: string, options?: { strict?: boolean }): Uint8Array;
+
+/** Encode 16 bytes as a ULID followed by its Crockford check symbol (27 characters) */
+export function encodeBase32WithCheck(id: Uint8Array | ArrayLike<number>): string;
+
+/** Decode a 27-character checked ULID, verifying and stripping the check symbol */
+export function decodeBase32WithCheck(str: string): Uint8Array;
+
+/** Encode 16 bytes to 32 lowercase hex characters */
+export function encodeHex(bytes: Uint8Array | ArrayLike<number>): string;
+
+/** Decode 32 hex characters (either case) to 16 bytes */
+export function decodeHex(str: string): Uint8Array;
+
+/** Encode 16 bytes to 22 base58 characters (Bitcoin alphabet, left-padded with '1') */
+export function encodeBase58(bytes: Uint8Array | ArrayLike<number>): string;
+
+/** Decode 22 base58 characters to 16 bytes */
+export function decodeBase58(str: string): Uint8Array;
+
+/** Encode 16 bytes to 22 base62 characters (left-padded with '0') */
+export function encodeBase62(bytes: Uint8Array | ArrayLike<number>): string;
+
+/** Decode 22 base62 characters to 16 bytes */
+export function decodeBase62(str: string): Uint8Array;
+
+/** Encode 16 bytes to 22 unpadded base64url characters */
+export function encodeBase64Url(bytes: Uint8Array | ArrayLike<number>): string;
+
+/** Decode 22 unpadded base64url characters to 16 bytes */
+export function decodeBase64Url(str: string): Uint8Array;
+
+/** List the textual formats accepted by toFormat() and fromFormat() */
+export function listFormats(): PulidFormatInfo[];
+
+/** Pack pULIDs into one contiguous buffer of N×16 bytes */
+export function packPulids(pulids: readonly pULID[]): Uint8Array;
+
+/** Unpack a buffer of N×16 bytes into pULID instances */
+export function unpackPulids(packed: Uint8Array): pULID[];
+
+/** Encode every pULID in a packed buffer as a string */
+export function packedToStrings(packed: Uint8Array, format?: PulidFormat): string[];
+
+/** Parse strings into one packed buffer, reporting failures per index */
+export function stringsToPacked(strings: readonly unknown[], format?: PulidFormat): PackedParseResult;
+
+/** Describe a packed buffer as an Apache Arrow FixedSizeBinary(16) column */
+export function toArrowFixedSizeBinary(packed: Uint8Array, errors?: ReadonlyArray<{ index: number }>): ArrowFixedSizeBinaryColumn;
+
+/** Database column codecs */
+export const codecs: {
+  /** Postgres type OID of the uuid column type */
+  readonly PG_UUID_OID: 2950;
+  /** Postgres uuid columns, as hyphenated UUID strings */
+  readonly postgresUuid: PulidCodec<string>;
+  /** MySQL BINARY(16) and SQLite BLOB columns, as 16-byte Buffers */
+  readonly binary: PulidCodec<Uint8Array, PulidBinaryBuffer>;
+  /** Text columns, as canonical ULID strings */
+  readonly text: PulidCodec<string>;
+  /** Make pg return pULID instances for every uuid column */
+  registerPostgresUuidParser<T extends { setTypeParser(oid: number, parser: (value: string) => unknown): void }>(types: T): T;
+};
+
+/** Generate 8 bytes of entropy using the default generator */
+export function generateEntropy(): Uint8Array;
+
+/** Increment 8 bytes of entropy as a big-endian unsigned counter */
+export function incrementEntropy(entropy: Uint8Array): Uint8Array;
+
+/** Test entropy generation functionality */
+export function testEntropy(): boolean;
+
+/** Validate a scope using the shared scope manager */
+export function validateScope(scope: number): true | number;
+
+/** Check if a scope is valid using the shared scope manager */
+export function isValidScope(scope: number): boolean | number;
+
+/** Convert a scope to 2 big-endian bytes */
+export function scopeToBytes(scope: number): Uint8Array;
+
+/** Extract the scope from 16 pULID bytes */
+export function bytesToScope(bytes: Uint8Array): number;
+
+/** Register an entity name in the shared scope registry */
+export function registerEntity(name: string, scope: number, description?: string, prefix?: string): number;
+
+/** Get the scope registered for an entity name in the shared registry */
+export function getScopeForEntity(name: string): number;
+
+/** Get the entity name registered for a scope in the shared registry */
+export function getEntityForScope(scope: number): string | null;
+
+/** Load a scope manifest into the shared registry */
+export function loadScopeManifest(manifest: ScopeManifest | string, options?: LoadManifestOptions): ScopeManager;
+
+/** Validate a timestamp */
+export function validateTimestamp(timestamp: number): true;
+
+/** Check if a timestamp is valid */
+export function isValidTimestamp(timestamp: number): boolean;
+
+/** Convert a timestamp to 6 big-endian bytes */
+export function timestampToBytes(timestamp: number): Uint8Array;
+
+/** Extract the timestamp from 16 pULID bytes */
+export function bytesToTimestamp(bytes: Uint8Array): number;
+
+/** Format 16 bytes as a lowercase hyphenated UUID string */
+export function formatAsUUID(bytes: Uint8Array): string;
+
+/** Convert a UUID string to 16 bytes */
+export function uuidToBytes(uuid: string): Uint8Array;
+
+/** Validate a UUID string */
+export function validateUUID(uuid: string): true;
+
+/** Check if a UUID string is valid */
+export function isValidUUID(uuid: string): boolean;
+
+/** Create a UUID string from pULID components */
+export function createUUID(timestamp: number, scope: number, entropy: Uint8Array): string;
+
+export default pulid;